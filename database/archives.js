@@ -0,0 +1,156 @@
+/**
+ * Database Archives Module
+ * Purpose: Stores the files found inside zip and tar archives
+ * Why it's needed: With --archives, archive members take part in duplicate
+ * detection next to loose files, and reading an archive again on every scan
+ * would be slow
+ * How it works: Members are rows of the files table whose 'archive' column
+ * holds the ID of the archive file they were read from, with a virtual path
+ * like 'backup.zip!/docs/a.pdf'. The archives table remembers the size and
+ * mtime each archive was read at, so only new and changed archives are read again.
+ */
+
+import { ARCHIVE_EXTENSIONS } from '../lib/archive-reader.js';
+
+// Declare prepared statement variables at module level
+let selectArchivesToRead, insertArchiveEntry, deleteArchiveEntries, upsertArchive;
+let deleteOrphanArchiveEntries, deleteOrphanArchives, deleteAllArchiveEntries, deleteAllArchives;
+let selectArchiveStats;
+
+/**
+ * initializeArchivesTable - Creates the archives table in the database
+ * Why it's needed: Establishes the structure to remember which archives were read
+ * How it works:
+ * 1. Creates a table keyed by file ID with the size and mtime the archive was
+ *    read at and the number of members indexed and skipped
+ * 2. Prepares SQL statements for later use
+ * @param {object} db - The database connection object
+ */
+export function initializeArchivesTable(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS archives (
+            file_id TEXT PRIMARY KEY,
+            size INTEGER,
+            mtime INTEGER,
+            entries INTEGER DEFAULT 0,
+            skipped INTEGER DEFAULT 0
+        )
+    `);
+
+    const isArchive = ARCHIVE_EXTENSIONS.map(extension => `lower(f.path) LIKE '%.${extension}'`).join(' OR ');
+
+    // Statement to find archives not read yet, or changed since they were read
+    selectArchivesToRead = db.prepare(`
+        SELECT f.id, f.path, f.size, f.mtime, f.root
+        FROM files f
+        LEFT JOIN archives a ON a.file_id = f.id
+        WHERE f.archive IS NULL AND f.size > 0 AND (${isArchive})
+          AND (a.file_id IS NULL OR a.size != f.size OR a.mtime IS NOT f.mtime)
+        ORDER BY f.path
+    `);
+
+    // Statement to index one archive member; its content hash is known from reading it,
+    // so it starts in the 'full' stage and never reaches the hash workers
+    insertArchiveEntry = db.prepare(`
+        INSERT OR REPLACE INTO files (id, path, hash, size, stage, partial_hash, mtime, inode, device, root, archive)
+        VALUES (@id, @path, @hash, @size, 'full', @partialHash, @mtime, NULL, NULL, @root, @archive)
+    `);
+
+    // Statement to forget the members of one archive before it is read again
+    deleteArchiveEntries = db.prepare(`
+        DELETE FROM files
+        WHERE archive = ?
+    `);
+
+    // Statement to record that an archive was read
+    upsertArchive = db.prepare(`
+        INSERT OR REPLACE INTO archives (file_id, size, mtime, entries, skipped)
+        VALUES (@fileId, @size, @mtime, @entries, @skipped)
+    `);
+
+    // Statements to drop members and records of archives that left the index or changed ID
+    deleteOrphanArchiveEntries = db.prepare(`
+        DELETE FROM files
+        WHERE archive IS NOT NULL
+          AND archive NOT IN (SELECT id FROM files WHERE archive IS NULL)
+    `);
+    deleteOrphanArchives = db.prepare(`
+        DELETE FROM archives
+        WHERE file_id NOT IN (SELECT id FROM files WHERE archive IS NULL)
+    `);
+
+    // Statements to drop every archive member, when --archives is off or hashes are reset
+    deleteAllArchiveEntries = db.prepare(`
+        DELETE FROM files
+        WHERE archive IS NOT NULL
+    `);
+    deleteAllArchives = db.prepare(`
+        DELETE FROM archives
+    `);
+
+    // Statement to total the indexed archive members
+    selectArchiveStats = db.prepare(`
+        SELECT COUNT(*) as count, COALESCE(SUM(size), 0) as totalSize
+        FROM files
+        WHERE archive IS NOT NULL
+    `);
+}
+
+/**
+ * getArchivesToRead - Lists indexed archives whose members need indexing
+ * @return {Array<object>} - File records with id, path, size, mtime and root
+ */
+export function getArchivesToRead() {
+    return selectArchivesToRead.all();
+}
+
+/**
+ * saveArchiveEntries - Replaces the indexed members of an archive
+ * Why it's needed: A changed archive may have gained, lost or changed members
+ * How it works: Deletes the archive's old members, inserts the new ones and
+ * records the size and mtime the archive was read at; callers wrap it in a transaction
+ * @param {object} archive - File record of the archive with id, size and mtime
+ * @param {Array<object>} entries - Members with id, path, root, size, hash and partialHash
+ * @param {number} skipped - Number of members that were not indexed
+ */
+export function saveArchiveEntries(archive, entries, skipped) {
+    deleteArchiveEntries.run(archive.id);
+    for (const entry of entries) {
+        insertArchiveEntry.run({ ...entry, mtime: archive.mtime, archive: archive.id });
+    }
+    upsertArchive.run({
+        fileId: archive.id,
+        size: archive.size,
+        mtime: archive.mtime,
+        entries: entries.length,
+        skipped
+    });
+}
+
+/**
+ * removeOrphanArchiveEntries - Deletes members of archives that are no longer indexed
+ * @return {number} - Number of members deleted
+ */
+export function removeOrphanArchiveEntries() {
+    deleteOrphanArchives.run();
+    return deleteOrphanArchiveEntries.run().changes;
+}
+
+/**
+ * clearArchiveEntries - Deletes every indexed archive member
+ * Why it's needed: Members are only compared while --archives is set, and their
+ * hashes become useless when the hash algorithm changes
+ * @return {number} - Number of members deleted
+ */
+export function clearArchiveEntries() {
+    deleteAllArchives.run();
+    return deleteAllArchiveEntries.run().changes;
+}
+
+/**
+ * getArchiveStats - Counts the indexed archive members
+ * @return {object} - Object with count and totalSize
+ */
+export function getArchiveStats() {
+    return selectArchiveStats.get();
+}
@@ -0,0 +1,106 @@
+/**
+ * Database Directories Module
+ * Purpose: Stores a content hash for every indexed directory
+ * Why it's needed: A copied folder shows up as one directory-level duplicate
+ * instead of thousands of separate file sets
+ * How it works: Keeps one row per directory with its Merkle hash, total size
+ * and file count, rebuilt after every completed scan
+ */
+
+// Declare prepared statement variables at module level
+let deleteDirectories, insertDirectory, selectDuplicateDirectoryGroups, selectDirectoriesByHash, selectDirectories;
+let replaceAll;
+
+/**
+ * initializeDirectoriesTable - Creates the directories table in the database
+ * Why it's needed: Establishes the structure to store directory hashes
+ * How it works:
+ * 1. Creates a table keyed by root and path with hash, size and file count columns
+ * 2. Prepares SQL statements for later use
+ * @param {object} db - The database connection object
+ */
+export function initializeDirectoriesTable(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS directories (
+            root TEXT NOT NULL,
+            path TEXT NOT NULL,
+            parent TEXT,
+            hash TEXT,
+            size INTEGER DEFAULT 0,
+            file_count INTEGER DEFAULT 0,
+            PRIMARY KEY (root, path)
+        );
+        CREATE INDEX IF NOT EXISTS idx_directories_hash ON directories (hash);
+    `);
+
+    // Statement to clear the table before it is rebuilt
+    deleteDirectories = db.prepare('DELETE FROM directories');
+
+    // Statement to store one directory
+    insertDirectory = db.prepare(`
+        INSERT INTO directories (root, path, parent, hash, size, file_count)
+        VALUES (@root, @path, @parent, @hash, @size, @fileCount)
+    `);
+
+    // Statement to find directory hashes shared by more than one non-empty directory
+    selectDuplicateDirectoryGroups = db.prepare(`
+        SELECT hash, size, file_count as fileCount, COUNT(*) as count
+        FROM directories
+        WHERE hash IS NOT NULL AND file_count > 0
+        GROUP BY hash
+        HAVING COUNT(*) > 1
+        ORDER BY size DESC
+    `);
+
+    // Statement to list the directories with a given hash
+    selectDirectoriesByHash = db.prepare(`
+        SELECT root, path, parent, hash, size, file_count as fileCount
+        FROM directories
+        WHERE hash = ?
+        ORDER BY length(path), path
+    `);
+
+    // Statement to list every directory
+    selectDirectories = db.prepare(`
+        SELECT root, path, parent, hash, size, file_count as fileCount
+        FROM directories
+    `);
+
+    replaceAll = db.transaction((directories) => {
+        deleteDirectories.run();
+        directories.forEach(directory => insertDirectory.run(directory));
+    });
+}
+
+/**
+ * replaceDirectories - Replaces every stored directory hash
+ * @param {Array<object>} directories - Objects with root, path, parent, hash, size and fileCount
+ */
+export function replaceDirectories(directories) {
+    replaceAll(directories);
+}
+
+/**
+ * getDuplicateDirectoryGroups - Lists hashes shared by more than one directory
+ * @return {Array<object>} - Rows with hash, size, fileCount and count, largest first
+ */
+export function getDuplicateDirectoryGroups() {
+    return selectDuplicateDirectoryGroups.all();
+}
+
+/**
+ * getDirectoriesByHash - Lists the directories with a given content hash
+ * @param {string} hash - The directory hash
+ * @return {Array<object>} - Directory rows, shortest path first
+ */
+export function getDirectoriesByHash(hash) {
+    return selectDirectoriesByHash.all(hash);
+}
+
+/**
+ * getDirectories - Lists every stored directory
+ * @return {Array<object>} - Directory rows
+ */
+export function getDirectories() {
+    return selectDirectories.all();
+}
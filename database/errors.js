@@ -0,0 +1,108 @@
+/**
+ * Database Errors Module
+ * Purpose: Records paths the scanner could not read
+ * Why it's needed: One unreadable file or directory shouldn't abort a whole scan
+ * How it works: Stores one row per failure with the path, the scan phase and the error code
+ */
+
+// Declare prepared statement variables at module level
+let insertError, selectErrors, countErrorsStatement, deleteErrors;
+
+/**
+ * ERROR_PHASES - The scan phases an error can come from
+ * Why it's needed: Tells users whether a path failed while walking or while hashing
+ * How it works: Defines constants for each phase to prevent typos
+ */
+export const ERROR_PHASES = {
+    READ_DIR: 'readdir',           // Listing a directory
+    STAT: 'stat',                  // Reading a file's or directory's metadata
+    INSERT: 'insert',              // Writing the file record
+    PARTIAL_HASH: 'partial-hash',  // Hashing the first and last blocks
+    FULL_HASH: 'full-hash',        // Hashing the whole file
+    IMAGE_HASH: 'image-hash',      // Decoding an image for its perceptual hash
+    TEXT_HASH: 'text-hash',        // Reading a text file for its MinHash signature
+    ARCHIVE: 'archive'             // Reading the members of a zip or tar archive
+};
+
+/**
+ * initializeErrorsTable - Creates the errors table in the database
+ * Why it's needed: Establishes the structure to store scan errors
+ * How it works:
+ * 1. Creates a table with path, phase, code, message and timestamp columns
+ * 2. Prepares SQL statements for later use
+ * @param {object} db - The database connection object
+ */
+export function initializeErrorsTable(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS errors (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            path TEXT NOT NULL,
+            phase TEXT NOT NULL,
+            code TEXT,
+            message TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Statement to record a single failure
+    insertError = db.prepare(`
+        INSERT INTO errors (path, phase, code, message)
+        VALUES (@path, @phase, @code, @message)
+    `);
+
+    // Statement to list failures in the order they happened
+    selectErrors = db.prepare(`
+        SELECT path, phase, code, message, created_at
+        FROM errors
+        ORDER BY id
+    `);
+
+    // Statement to count failures
+    countErrorsStatement = db.prepare(`
+        SELECT COUNT(*) as count
+        FROM errors
+    `);
+
+    // Statement to forget the failures of a previous scan
+    deleteErrors = db.prepare('DELETE FROM errors');
+}
+
+/**
+ * recordError - Stores a failure for a path
+ * @param {string} path - Absolute path that failed
+ * @param {string} phase - One of ERROR_PHASES
+ * @param {Error} error - The error that was thrown
+ * @return {object} - Result of the database operation
+ */
+export function recordError(path, phase, error) {
+    return insertError.run({
+        path,
+        phase,
+        code: error.code || null,
+        message: error.message
+    });
+}
+
+/**
+ * getErrors - Lists every recorded failure
+ * @return {Array<object>} - Rows with path, phase, code, message and created_at
+ */
+export function getErrors() {
+    return selectErrors.all();
+}
+
+/**
+ * countErrors - Counts the recorded failures
+ * @return {number} - Number of failures
+ */
+export function countErrors() {
+    return countErrorsStatement.get().count;
+}
+
+/**
+ * clearErrors - Removes the failures of a previous scan
+ * @return {object} - Result of the database operation
+ */
+export function clearErrors() {
+    return deleteErrors.run();
+}
@@ -6,8 +6,17 @@
  */
 
 import Database from 'better-sqlite3';
-import { dbPath, log } from '../lib/vars.js';
+import path from 'path';
+import { dbPath, baseDir, log } from '../lib/vars.js';
 import { initializeMetadataTable } from './meta.js';
+import { initializeErrorsTable } from './errors.js';
+import { initializeScansTable } from './scans.js';
+import { initializeImagesTable } from './images.js';
+import { initializeTextSignaturesTable } from './text-signatures.js';
+import { initializeDirectoriesTable } from './directories.js';
+import { initializeArchivesTable } from './archives.js';
+import { initializeOperationsTable } from './operations.js';
+import { initializeIgnoredSetsTable } from './ignored-sets.js';
 
 // Global database connection variable
 let db = null;
@@ -18,7 +27,8 @@ let db = null;
  * How it works:
  * 1. Creates a new database connection (or closes existing one)
  * 2. Creates the 'files' table if it doesn't exist
- * 3. Initializes metadata tables
+ * 3. Initializes metadata, errors, scans, image hash, text signature, directory, archive,
+ *    operation journal and ignored set tables
  * 4. Prepares SQL statements for later use
  * @return {object} - The database connection object
  */
@@ -33,69 +43,303 @@ export function initializeDatabase() {
 
     // Initialize database schema for files
     // This creates a table to store file IDs, paths, hash values, and file sizes
+    // The 'stage' column records how far each file got through the hashing pipeline
+    // The 'archive' column holds the ID of the archive a file was read from (--archives)
     // The SQL 'IF NOT EXISTS' clause ensures we don't create duplicate tables
     db.exec(`
         CREATE TABLE IF NOT EXISTS files (
             id TEXT PRIMARY KEY,
             path TEXT NOT NULL,
-            hash TEXT NOT NULL,
-            size INTEGER DEFAULT 0
+            hash TEXT,
+            size INTEGER DEFAULT 0,
+            stage TEXT NOT NULL DEFAULT 'full',
+            partial_hash TEXT,
+            mtime INTEGER,
+            inode INTEGER,
+            device INTEGER,
+            root TEXT,
+            archive TEXT
         )
     `);
 
-    // Check if we need to add the size column to an existing table
-    try {
-        // Try to get column info - if 'size' doesn't exist, this will throw an error
-        const hasSize = db.prepare("PRAGMA table_info(files)").all()
-            .some(col => col.name === 'size');
-        
-        if (!hasSize) {
-            log.info('Upgrading database schema to include file sizes');
-            db.exec('ALTER TABLE files ADD COLUMN size INTEGER DEFAULT 0');
-        }
-    } catch (error) {
-        log.error(`Error checking database schema: ${error.message}`);
-    }
+    // Bring databases created by older versions up to the current schema
+    upgradeFilesTable();
+
+    // Indexes used by the size and partial hash candidate queries
+    db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_files_size ON files (size);
+        CREATE INDEX IF NOT EXISTS idx_files_hash ON files (hash);
+        CREATE INDEX IF NOT EXISTS idx_files_partial_hash ON files (size, partial_hash);
+        CREATE INDEX IF NOT EXISTS idx_files_root ON files (root);
+        CREATE INDEX IF NOT EXISTS idx_files_archive ON files (archive);
+    `);
 
     // Initialize metadata table by calling the function from meta.js
     initializeMetadataTable(db);
 
+    // Initialize the table of paths the scanner could not read
+    initializeErrorsTable(db);
+
+    // Initialize the table of scan sessions
+    initializeScansTable(db);
+
+    // Initialize the table of perceptual image hashes
+    initializeImagesTable(db);
+
+    // Initialize the table of MinHash signatures of text files
+    initializeTextSignaturesTable(db);
+
+    // Initialize the table of directory content hashes
+    initializeDirectoriesTable(db);
+
+    // Initialize the table of archives whose members are indexed
+    initializeArchivesTable(db);
+
+    // Initialize the journal of moved and linked duplicates
+    initializeOperationsTable(db);
+
+    // Initialize the table of duplicate sets ignored in review
+    initializeIgnoredSetsTable(db);
+
     // Prepare SQL statements to improve performance
     // These statements are compiled once and can be executed many times
     
     // Statement to insert a new file record
     insertFile = db.prepare(`
-        INSERT INTO files (id, path, hash, size)
-        VALUES (@id, @path, @hash, @size)
+        INSERT INTO files (id, path, hash, size, stage, partial_hash, mtime, inode, device, root)
+        VALUES (@id, @path, @hash, @size, @stage, @partialHash, @mtime, @inode, @device, @root)
     `);
 
     // Statement to find files with duplicate hashes (identical content)
+    // Only files confirmed by a full content hash can form a duplicate group
+    // 'copies' counts physical copies: hardlinks sharing a device and inode count once
+    // 'archived' counts copies inside archives, which also pair with a single loose file
     getDuplicates = db.prepare(`
-        SELECT path, hash, size, COUNT(*) as count
+        SELECT path, hash, size, COUNT(*) as count, ${PHYSICAL_COPIES} as copies, ${ARCHIVED_COPIES} as archived
+        FROM files
+        WHERE stage = 'full'
+        GROUP BY hash
+        HAVING copies > 1 OR (copies = 1 AND archived > 0)
+        ORDER BY path
+    `);
+
+    // Statement to find groups whose files are all hardlinks to one inode
+    // These are already deduplicated and are never removal candidates
+    getLinkedGroups = db.prepare(`
+        SELECT path, hash, size, COUNT(*) as count, ${PHYSICAL_COPIES} as copies
         FROM files
+        WHERE stage = 'full'
         GROUP BY hash
-        HAVING count > 1
+        HAVING count > 1 AND copies = 1 AND ${ARCHIVED_COPIES} = 0
         ORDER BY path
     `);
 
+    // Statement to total the extra paths that are hardlinks to a file already counted
+    getHardlinkStats = db.prepare(`
+        SELECT COALESCE(SUM(count - copies), 0) as count,
+               COALESCE(SUM(size * (count - copies)), 0) as totalSize
+        FROM (
+            SELECT size, COUNT(*) - ${ARCHIVED_COPIES} as count, ${PHYSICAL_COPIES} as copies
+            FROM files
+            WHERE stage = 'full'
+            GROUP BY hash
+        )
+    `);
+
     // Statement to get all files with a specific hash
+    // Loose files come first, so the first file is one that exists on disk
     getFilesByHash = db.prepare(`
-        SELECT path, size
+        SELECT id, path, size, mtime, inode, device, root, archive
         FROM files
-        WHERE hash = ?
-        ORDER BY path
+        WHERE hash = ? AND stage = 'full'
+        ORDER BY archive IS NOT NULL, path
     `);
 
     // Statement to get a specific file by its ID
     getFileById = db.prepare(`
-        SELECT path, hash, size
+        SELECT path, hash, size, mtime, inode, device, root
         FROM files
         WHERE id = ?
     `);
 
+    // Statement to find files that share their size with another file
+    // but have not been partially hashed yet
+    getSizeCandidates = db.prepare(`
+        SELECT id, path, size, root
+        FROM files
+        WHERE partial_hash IS NULL AND stage != 'empty'
+          AND size IN (SELECT size FROM files WHERE stage != 'empty' GROUP BY size HAVING COUNT(*) > 1)
+        ORDER BY path
+    `);
+
+    // Statement to find files whose size and partial hash still collide
+    // with another file and that have not been fully hashed yet
+    getPartialCandidates = db.prepare(`
+        SELECT f.id, f.path, f.size, f.root
+        FROM files f
+        JOIN (
+            SELECT size, partial_hash
+            FROM files
+            WHERE partial_hash IS NOT NULL
+            GROUP BY size, partial_hash
+            HAVING COUNT(*) > 1
+        ) c ON f.size = c.size AND f.partial_hash = c.partial_hash
+        WHERE f.stage != 'full'
+        ORDER BY f.path
+    `);
+
+    // Statement to record a partial hash without downgrading fully hashed files
+    updatePartialHash = db.prepare(`
+        UPDATE files
+        SET partial_hash = @partialHash,
+            stage = CASE WHEN stage = 'size' THEN 'partial' ELSE stage END
+        WHERE id = @id
+    `);
+
+    // Statement to record a full content hash
+    updateFullHash = db.prepare(`
+        UPDATE files
+        SET hash = @hash, partial_hash = COALESCE(@partialHash, partial_hash), stage = 'full'
+        WHERE id = @id
+    `);
+
+    // Statement to reset a file whose stat signature changed since it was indexed
+    // Clearing the hashes sends it back through the staged hashing pipeline
+    markFileModified = db.prepare(`
+        UPDATE files
+        SET size = @size, mtime = @mtime, inode = @inode, device = @device,
+            hash = NULL, partial_hash = NULL, stage = @stage
+        WHERE id = @id
+    `);
+
+    // Statement to record the stat signature of a file indexed before signatures existed
+    updateFileSignature = db.prepare(`
+        UPDATE files
+        SET mtime = @mtime, inode = @inode, device = @device
+        WHERE id = @id
+    `);
+
+    // Statement to forget every content hash so all files go through the pipeline again
+    // Archive members can't be hashed from disk; they are dropped and read again instead
+    resetAllHashes = db.prepare(`
+        UPDATE files
+        SET hash = NULL, partial_hash = NULL, stage = 'size'
+        WHERE archive IS NULL
+    `);
+
+    // Statement to change a file's ID when the path hash algorithm changes
+    updateFileId = db.prepare(`
+        UPDATE files
+        SET id = @newId
+        WHERE id = @id
+    `);
+
+    // Statement to list every scan root that has files in the index
+    getRoots = db.prepare(`
+        SELECT DISTINCT root
+        FROM files
+        WHERE root IS NOT NULL
+        ORDER BY root
+    `);
+
+    // Statement to keep zero-byte files out of duplicate detection
+    excludeEmptyFiles = db.prepare(`
+        UPDATE files
+        SET hash = NULL, partial_hash = NULL, stage = 'empty'
+        WHERE size = 0 AND stage != 'empty'
+    `);
+
+    // Statement to let zero-byte files through the hashing pipeline again
+    includeEmptyFiles = db.prepare(`
+        UPDATE files
+        SET stage = 'size'
+        WHERE stage = 'empty'
+    `);
+
+    // Statement to list the zero-byte files kept out of duplicate detection
+    getEmptyFiles = db.prepare(`
+        SELECT path, root
+        FROM files
+        WHERE stage = 'empty'
+        ORDER BY root, path
+    `);
+
+    // Statement to list what the directory hashes are built from
+    getFileContents = db.prepare(`
+        SELECT path, root, hash, stage, size
+        FROM files
+        WHERE root IS NOT NULL AND archive IS NULL
+    `);
+
+    // Statement to count the indexed files of one root
+    countFilesInRoot = db.prepare(`
+        SELECT COUNT(*) as count
+        FROM files
+        WHERE root = ? AND archive IS NULL
+    `);
+
     return db;
 }
 
+/**
+ * upgradeFilesTable - Migrates an existing files table to the current schema
+ * Why it's needed: Databases from older versions lack newer columns and
+ * require a content hash for every row
+ * How it works:
+ * 1. Rebuilds the table when the hash column is still NOT NULL
+ * 2. Adds any missing columns with defaults that describe legacy rows
+ */
+function upgradeFilesTable() {
+    try {
+        const columns = db.prepare("PRAGMA table_info(files)").all();
+        const hashColumn = columns.find(col => col.name === 'hash');
+
+        // SQLite can't drop a NOT NULL constraint, so copy into a new table
+        if (hashColumn && hashColumn.notnull) {
+            log.info('Upgrading database schema to support staged hashing');
+            const hasSize = columns.some(col => col.name === 'size');
+            db.transaction(() => {
+                db.exec(`
+                    CREATE TABLE files_upgrade (
+                        id TEXT PRIMARY KEY,
+                        path TEXT NOT NULL,
+                        hash TEXT,
+                        size INTEGER DEFAULT 0
+                    );
+                    INSERT INTO files_upgrade (id, path, hash, size)
+                        SELECT id, path, hash, ${hasSize ? 'size' : '0'} FROM files;
+                    DROP TABLE files;
+                    ALTER TABLE files_upgrade RENAME TO files;
+                `);
+            })();
+        }
+
+        // Rows written before a column existed get the column's default value
+        const existing = db.prepare("PRAGMA table_info(files)").all().map(col => col.name);
+        for (const column of FILE_COLUMN_UPGRADES) {
+            if (!existing.includes(column.name)) {
+                log.info(`Upgrading database schema to include ${column.description}`);
+                db.exec(`ALTER TABLE files ADD COLUMN ${column.name} ${column.definition}`);
+            }
+        }
+    } catch (error) {
+        log.error(`Error checking database schema: ${error.message}`);
+    }
+}
+
+/**
+ * resolveFilePath - Turns a file record into an absolute path on disk
+ * Why it's needed: Paths are stored relative to the parent of the file's scan root
+ * How it works: Joins the stored path onto the root's parent directory; records
+ * without a root belong to the database's own target directory
+ * @param {object} file - File record with path and root
+ * @return {string} - Absolute path of the file
+ */
+export function resolveFilePath(file) {
+    const parentDir = file.root ? path.dirname(file.root) : baseDir;
+    return path.join(parentDir, file.path);
+}
+
 /**
  * closeDatabase - Safely closes the database connection
  * Why it's needed: Prevents data corruption and resource leaks
@@ -116,8 +360,51 @@ export function closeDatabase() {
     }
 }
 
+/**
+ * FILE_STAGES - How far a file got through the hashing pipeline
+ * Why it's needed: Only files confirmed by a full hash may be reported as duplicates
+ * How it works: 'size' files have a unique size, 'partial' files have a unique
+ * first/last block hash, and 'full' files carry a complete content hash.
+ * 'empty' files are zero bytes long and never compared unless --include-empty is set
+ */
+export const FILE_STAGES = {
+    SIZE: 'size',
+    PARTIAL: 'partial',
+    FULL: 'full',
+    EMPTY: 'empty'
+};
+
+/**
+ * FILE_COLUMN_UPGRADES - Columns added to the files table after its first release
+ * Why it's needed: Lets older databases be upgraded in place
+ * How it works: Each entry is added with ALTER TABLE when missing
+ */
+const FILE_COLUMN_UPGRADES = [
+    { name: 'size', definition: 'INTEGER DEFAULT 0', description: 'file sizes' },
+    // Files indexed before staged hashing were always fully hashed
+    { name: 'stage', definition: "TEXT NOT NULL DEFAULT 'full'", description: 'hashing stages' },
+    { name: 'partial_hash', definition: 'TEXT', description: 'partial hashes' },
+    { name: 'mtime', definition: 'INTEGER', description: 'modification times' },
+    { name: 'inode', definition: 'INTEGER', description: 'inode numbers' },
+    { name: 'device', definition: 'INTEGER', description: 'device numbers' },
+    // Filled in with the database's target directory by the scanner
+    { name: 'root', definition: 'TEXT', description: 'scan roots' },
+    { name: 'archive', definition: 'TEXT', description: 'archive members' }
+];
+
+// SQL expression counting distinct physical files in a group
+// Rows without an inode (indexed before inodes were stored) count as their own copy;
+// archive members are not files on disk and don't count
+const PHYSICAL_COPIES = "COUNT(DISTINCT CASE WHEN archive IS NULL THEN COALESCE(device || ':' || inode, 'id:' || id) END)";
+
+// SQL expression counting the archive members in a group
+const ARCHIVED_COPIES = 'SUM(archive IS NOT NULL)';
+
 // Initialize prepared statements variables
-let insertFile, getDuplicates, getFilesByHash, getFileById;
+let insertFile, getDuplicates, getLinkedGroups, getHardlinkStats, getFilesByHash, getFileById;
+let getSizeCandidates, getPartialCandidates, updatePartialHash, updateFullHash;
+let markFileModified, updateFileSignature, resetAllHashes, updateFileId, getRoots, countFilesInRoot;
+let excludeEmptyFiles, includeEmptyFiles, getEmptyFiles, getFileContents;
 
 // Initialize database when this module is first imported
 // This ensures the database is ready as soon as this file is used
@@ -125,4 +412,9 @@ initializeDatabase();
 
 // Export the database connection and prepared statements
 // This makes them available to other modules that import this file
-export { db, insertFile, getDuplicates, getFilesByHash, getFileById }; 
\ No newline at end of file
+export {
+    db, insertFile, getDuplicates, getLinkedGroups, getHardlinkStats, getFilesByHash, getFileById,
+    getSizeCandidates, getPartialCandidates, updatePartialHash, updateFullHash,
+    markFileModified, updateFileSignature, resetAllHashes, updateFileId, getRoots, countFilesInRoot,
+    excludeEmptyFiles, includeEmptyFiles, getEmptyFiles, getFileContents
+};
\ No newline at end of file
@@ -0,0 +1,57 @@
+/**
+ * Database Ignored Sets Module
+ * Purpose: Remembers duplicate sets the user chose to leave alone for good
+ * Why it's needed: A set ignored in 'dedupe review' must not come up again in the
+ * next review, nor be touched by auto-remove or a plan
+ * How it works: Stores the content hash of each ignored set; a set whose files
+ * change gets a new hash and is reviewed again
+ */
+
+// Declare prepared statement variables at module level
+let insertIgnoredSet, selectIgnoredHashes;
+
+/**
+ * initializeIgnoredSetsTable - Creates the ignored_sets table in the database
+ * Why it's needed: Establishes the structure to store ignored sets
+ * How it works:
+ * 1. Creates a table keyed by content hash with the time the set was ignored
+ * 2. Prepares SQL statements for later use
+ * @param {object} db - The database connection object
+ */
+export function initializeIgnoredSetsTable(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS ignored_sets (
+            hash TEXT PRIMARY KEY,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Statement to ignore a set; ignoring it again keeps the first time
+    insertIgnoredSet = db.prepare(`
+        INSERT OR IGNORE INTO ignored_sets (hash)
+        VALUES (?)
+    `);
+
+    // Statement to list the ignored hashes
+    selectIgnoredHashes = db.prepare(`
+        SELECT hash
+        FROM ignored_sets
+    `);
+}
+
+/**
+ * ignoreSet - Marks a duplicate set as ignored for good
+ * @param {string} hash - Content hash of the set
+ * @return {object} - Result of the database operation
+ */
+export function ignoreSet(hash) {
+    return insertIgnoredSet.run(hash);
+}
+
+/**
+ * getIgnoredHashes - Lists the ignored sets
+ * @return {Set<string>} - Content hashes of the ignored sets
+ */
+export function getIgnoredHashes() {
+    return new Set(selectIgnoredHashes.all().map(row => row.hash));
+}
@@ -0,0 +1,102 @@
+/**
+ * Database Images Module
+ * Purpose: Stores perceptual hashes of indexed images
+ * Why it's needed: Near-duplicate pictures are found by comparing these hashes,
+ * which are too slow to recompute on every scan
+ * How it works: Keeps one row per image file with the hash and the size and
+ * mtime it was computed for, so a changed image is hashed again
+ */
+
+import { IMAGE_EXTENSIONS } from '../lib/image-hash.js';
+
+// Declare prepared statement variables at module level
+let selectImagesToHash, upsertImageHash, deleteOrphanImageHashes, selectImageHashes;
+
+/**
+ * initializeImagesTable - Creates the image_hashes table in the database
+ * Why it's needed: Establishes the structure to store perceptual hashes
+ * How it works:
+ * 1. Creates a table keyed by file ID with hash, dimensions, size and mtime columns
+ * 2. Prepares SQL statements for later use
+ * @param {object} db - The database connection object
+ */
+export function initializeImagesTable(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS image_hashes (
+            file_id TEXT PRIMARY KEY,
+            hash TEXT NOT NULL,
+            width INTEGER,
+            height INTEGER,
+            size INTEGER,
+            mtime INTEGER
+        )
+    `);
+
+    const isImage = IMAGE_EXTENSIONS.map(extension => `lower(f.path) LIKE '%.${extension}'`).join(' OR ');
+
+    // Statement to find images without a hash, or whose hash predates a change to the file
+    selectImagesToHash = db.prepare(`
+        SELECT f.id, f.path, f.size, f.mtime, f.root
+        FROM files f
+        LEFT JOIN image_hashes i ON i.file_id = f.id
+        WHERE f.archive IS NULL AND f.size > 0 AND (${isImage})
+          AND (i.file_id IS NULL OR i.size != f.size OR i.mtime IS NOT f.mtime)
+        ORDER BY f.path
+    `);
+
+    // Statement to store an image's hash
+    upsertImageHash = db.prepare(`
+        INSERT OR REPLACE INTO image_hashes (file_id, hash, width, height, size, mtime)
+        VALUES (@fileId, @hash, @width, @height, @size, @mtime)
+    `);
+
+    // Statement to drop hashes of files that left the index or changed ID
+    deleteOrphanImageHashes = db.prepare(`
+        DELETE FROM image_hashes
+        WHERE file_id NOT IN (SELECT id FROM files)
+    `);
+
+    // Statement to list every current image hash with its file
+    selectImageHashes = db.prepare(`
+        SELECT f.id, f.path, f.root, f.size, f.hash AS contentHash, f.inode, f.device,
+               i.hash, i.width, i.height
+        FROM image_hashes i
+        JOIN files f ON f.id = i.file_id
+        WHERE i.size = f.size AND i.mtime IS f.mtime
+        ORDER BY f.path
+    `);
+}
+
+/**
+ * getImagesToHash - Lists indexed images that need a perceptual hash
+ * @return {Array<object>} - File records with id, path, size, mtime and root
+ */
+export function getImagesToHash() {
+    return selectImagesToHash.all();
+}
+
+/**
+ * saveImageHash - Stores the perceptual hash of an image file
+ * @param {object} file - File record with id, size and mtime
+ * @param {object} result - Object with hash, width and height from hashImage
+ * @return {object} - Result of the database operation
+ */
+export function saveImageHash(file, { hash, width, height }) {
+    return upsertImageHash.run({ fileId: file.id, hash, width, height, size: file.size, mtime: file.mtime });
+}
+
+/**
+ * removeOrphanImageHashes - Deletes hashes whose file is no longer indexed
+ * @return {number} - Number of hashes deleted
+ */
+export function removeOrphanImageHashes() {
+    return deleteOrphanImageHashes.run().changes;
+}
+
+/**
+ * getImageHashes - Retrieves the current hash of every hashed image
+ * @return {Array<object>} - File records with the image hash, width and height
+ */
+export function getImageHashes() {
+    return selectImageHashes.all();
+}
@@ -86,7 +86,11 @@ export const META_KEYS = {
     START_TIME: 'scan_start_time',     // When the scan started
     END_TIME: 'scan_end_time',         // When the scan completed
     TARGET_DIR: 'target_directory',    // The directory being scanned
-    ABSOLUTE_PATH: 'absolute_path'             // The base path for relative references
+    ABSOLUTE_PATH: 'absolute_path',            // The base path for relative references
+    HASH_ALGORITHM: 'hash_algorithm',  // The crypto algorithm used for path and content hashes
+    FILTER_RULES: 'filter_rules',      // The include/exclude globs the index was built with
+    SCAN_ROOTS: 'scan_roots',          // Absolute paths of the roots scanned last
+    QUARANTINE_DIRS: 'quarantine_dirs' // Every --quarantine directory copies were moved to
 };
 
 /**
@@ -129,5 +133,69 @@ export function setBasePath(path) {
     return setMeta(META_KEYS.BASE_PATH, path);
 }
 
+/**
+ * setHashAlgorithm - Records the hash algorithm the index was built with
+ * @param {string} algorithm - The crypto algorithm name
+ * @return {object} - Result of the database operation
+ */
+export function setHashAlgorithm(algorithm) {
+    return setMeta(META_KEYS.HASH_ALGORITHM, algorithm);
+}
+
+/**
+ * getHashAlgorithm - Retrieves the hash algorithm the index was built with
+ * @return {string|null} - The algorithm name, or null if none was recorded
+ */
+export function getHashAlgorithm() {
+    return getMeta(META_KEYS.HASH_ALGORITHM);
+}
+
+/**
+ * setFilterRules - Records the include/exclude globs used by the scan
+ * @param {object} rules - Object with include and exclude arrays
+ * @return {object} - Result of the database operation
+ */
+export function setFilterRules(rules) {
+    return setMeta(META_KEYS.FILTER_RULES, rules);
+}
+
+/**
+ * getFilterRules - Retrieves the include/exclude globs used by the last scan
+ * @return {object|null} - Object with include and exclude arrays, or null
+ */
+export function getFilterRules() {
+    return getMeta(META_KEYS.FILTER_RULES);
+}
+
+/**
+ * setScanRoots - Records the roots scanned by the current run
+ * @param {Array<string>} roots - Absolute root paths
+ * @return {object} - Result of the database operation
+ */
+export function setScanRoots(roots) {
+    return setMeta(META_KEYS.SCAN_ROOTS, roots);
+}
+
+/**
+ * addQuarantineDir - Records a --quarantine directory copies were moved to
+ * Why it's needed: Scans without --quarantine must still leave a quarantine inside a
+ * root out of the index, as they do with the stored filter rules
+ * @param {string} dir - Absolute path of the quarantine directory
+ * @return {object|null} - Result of the database operation, or null if it was recorded already
+ */
+export function addQuarantineDir(dir) {
+    const dirs = getQuarantineDirs();
+    if (dirs.includes(dir)) return null;
+    return setMeta(META_KEYS.QUARANTINE_DIRS, [...dirs, dir]);
+}
+
+/**
+ * getQuarantineDirs - Retrieves every --quarantine directory copies were moved to
+ * @return {Array<string>} - Absolute paths, oldest first
+ */
+export function getQuarantineDirs() {
+    return getMeta(META_KEYS.QUARANTINE_DIRS) ?? [];
+}
+
 // Export the prepared statements for advanced usage
 export { setMetadata, getMetadata };
\ No newline at end of file
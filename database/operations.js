@@ -0,0 +1,238 @@
+/**
+ * Database Operations Module
+ * Purpose: Journals every duplicate that was moved or replaced with a link
+ * Why it's needed: Once a duplicate is moved to @duplicates nothing but the mirrored
+ * path says where it came from, and the index kept listing it at its old location
+ * How it works: Each action is a row with the batch it belongs to, the source path,
+ * the destination, the hash and the file's index record. The index is updated in
+ * the same transaction, so the journal and the files table always agree.
+ *
+ * For 'move' the destination is the quarantined copy; for 'hardlink', 'symlink'
+ * and 'reflink' it is the kept file the source now links to. Moves that are neither
+ * undone nor purged are what sits in quarantine.
+ */
+
+// Declare prepared statement variables at module level
+let insertOperation, markOperationUndone, markOperationPurged, selectBatches, selectLatestBatch, selectBatchOperations;
+let selectQuarantined, selectQuarantineBatches;
+let selectFileRecord, deleteFileRecord, restoreFileRecord, updateFileRecordSignature;
+let journalTransaction, undoTransaction;
+
+/**
+ * initializeOperationsTable - Creates the operations table in the database
+ * Why it's needed: Establishes the structure of the journal that undo works from
+ * How it works:
+ * 1. Creates a table with batch, action, source, destination, hash, the file's index
+ *    record and the inode and device of what the action left on disk
+ * 2. Adds the purged_at column to journals created before purging existed
+ * 3. Prepares SQL statements and the transactions that pair journal and index changes
+ * @param {object} db - The database connection object
+ */
+export function initializeOperationsTable(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS operations (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            batch TEXT NOT NULL,
+            action TEXT NOT NULL,
+            source TEXT NOT NULL,
+            destination TEXT NOT NULL,
+            hash TEXT,
+            size INTEGER,
+            record TEXT,
+            placed_inode INTEGER,
+            placed_device INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            undone_at DATETIME,
+            purged_at DATETIME
+        );
+        CREATE INDEX IF NOT EXISTS idx_operations_batch ON operations (batch);
+    `);
+    if (!db.prepare('PRAGMA table_info(operations)').all().some(column => column.name === 'purged_at')) {
+        db.exec('ALTER TABLE operations ADD COLUMN purged_at DATETIME');
+    }
+
+    // Statement to journal one action
+    insertOperation = db.prepare(`
+        INSERT INTO operations (batch, action, source, destination, hash, size, record, placed_inode, placed_device)
+        VALUES (@batch, @action, @source, @destination, @hash, @size, @record, @placedInode, @placedDevice)
+    `);
+
+    // Statement to mark an action as reversed
+    markOperationUndone = db.prepare(`
+        UPDATE operations
+        SET undone_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `);
+
+    // Statement to mark a quarantined copy as deleted for good
+    markOperationPurged = db.prepare(`
+        UPDATE operations
+        SET purged_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `);
+
+    // Statement to summarize every batch, newest first
+    selectBatches = db.prepare(`
+        SELECT batch, MIN(created_at) as createdAt, COUNT(*) as operations,
+               SUM(undone_at IS NULL AND purged_at IS NULL) as pending,
+               COALESCE(SUM(CASE WHEN undone_at IS NULL AND purged_at IS NULL THEN size END), 0) as size,
+               GROUP_CONCAT(DISTINCT action) as actions
+        FROM operations
+        GROUP BY batch
+        ORDER BY MIN(id) DESC
+    `);
+
+    // Statement to find the newest batch that still has actions to undo
+    selectLatestBatch = db.prepare(`
+        SELECT batch
+        FROM operations
+        WHERE undone_at IS NULL AND purged_at IS NULL
+        ORDER BY id DESC
+        LIMIT 1
+    `);
+
+    // Statement to list the actions of a batch still in effect, last first
+    selectBatchOperations = db.prepare(`
+        SELECT *
+        FROM operations
+        WHERE batch = ? AND undone_at IS NULL AND purged_at IS NULL
+        ORDER BY id DESC
+    `);
+
+    // Statement to list quarantined copies moved at least the given number of seconds ago
+    selectQuarantined = db.prepare(`
+        SELECT *
+        FROM operations
+        WHERE action = 'move' AND undone_at IS NULL AND purged_at IS NULL
+          AND created_at <= datetime('now', '-' || ? || ' seconds')
+        ORDER BY id
+    `);
+
+    // Statement to total the quarantined copies per batch, oldest first
+    selectQuarantineBatches = db.prepare(`
+        SELECT batch, MIN(created_at) as createdAt, COUNT(*) as files, COALESCE(SUM(size), 0) as size
+        FROM operations
+        WHERE action = 'move' AND undone_at IS NULL AND purged_at IS NULL
+        GROUP BY batch
+        ORDER BY MIN(id)
+    `);
+
+    // Statements to save, drop and restore a file's index record
+    selectFileRecord = db.prepare(`
+        SELECT id, path, hash, size, stage, partial_hash, mtime, inode, device, root, archive
+        FROM files
+        WHERE id = ?
+    `);
+    deleteFileRecord = db.prepare(`
+        DELETE FROM files
+        WHERE id = ?
+    `);
+    restoreFileRecord = db.prepare(`
+        INSERT OR REPLACE INTO files (id, path, hash, size, stage, partial_hash, mtime, inode, device, root, archive)
+        VALUES (@id, @path, @hash, @size, @stage, @partial_hash, @mtime, @inode, @device, @root, @archive)
+    `);
+    updateFileRecordSignature = db.prepare(`
+        UPDATE files
+        SET mtime = @mtime, inode = @inode, device = @device
+        WHERE id = @id
+    `);
+
+    // Journals an action and updates the file's index record to match
+    journalTransaction = db.transaction((operation, signature) => {
+        const record = selectFileRecord.get(operation.fileId);
+        insertOperation.run({
+            batch: operation.batch,
+            action: operation.action,
+            source: operation.source,
+            destination: operation.destination,
+            hash: record?.hash ?? null,
+            size: record?.size ?? null,
+            record: record ? JSON.stringify(record) : null,
+            placedInode: operation.placed.ino,
+            placedDevice: operation.placed.dev
+        });
+        if (signature) {
+            updateFileRecordSignature.run({ id: operation.fileId, ...signature });
+        } else {
+            deleteFileRecord.run(operation.fileId);
+        }
+    });
+
+    // Marks an action undone and puts the file's index record back
+    undoTransaction = db.transaction((operation, signature) => {
+        if (operation.record) {
+            restoreFileRecord.run({ ...JSON.parse(operation.record), ...signature });
+        }
+        markOperationUndone.run(operation.id);
+    });
+}
+
+/**
+ * journalOperation - Records an action that was just carried out
+ * @param {object} operation - Object with batch, action, fileId, source, destination
+ * and placed (stats of what the action left on disk: the quarantined copy or the link)
+ * @param {object|null} signature - New mtime, inode and device for the file's index
+ * record, or null to drop the record because the scan won't see the file there again
+ */
+export function journalOperation(operation, signature) {
+    journalTransaction(operation, signature);
+}
+
+/**
+ * completeUndo - Records that an action was reversed
+ * @param {object} operation - Row from the operations table
+ * @param {object} signature - Current mtime, inode and device of the restored file
+ */
+export function completeUndo(operation, signature) {
+    undoTransaction(operation, signature);
+}
+
+/**
+ * getBatches - Summarizes every batch in the journal
+ * @return {Array<object>} - Rows with batch, createdAt, operations, pending, size and actions
+ */
+export function getBatches() {
+    return selectBatches.all();
+}
+
+/**
+ * getLatestBatch - Finds the newest batch with actions left to undo
+ * @return {string|null} - The batch ID, or null if there is nothing to undo
+ */
+export function getLatestBatch() {
+    return selectLatestBatch.get()?.batch ?? null;
+}
+
+/**
+ * getBatchOperations - Lists the actions of a batch that are still in effect
+ * @param {string} batch - The batch ID
+ * @return {Array<object>} - Rows from the operations table, newest first
+ */
+export function getBatchOperations(batch) {
+    return selectBatchOperations.all(batch);
+}
+
+/**
+ * getQuarantined - Lists the quarantined copies old enough to purge
+ * @param {number} olderThanSeconds - Minimum time since the move
+ * @return {Array<object>} - Rows from the operations table, oldest first
+ */
+export function getQuarantined(olderThanSeconds) {
+    return selectQuarantined.all(Math.max(0, Math.floor(olderThanSeconds)));
+}
+
+/**
+ * getQuarantineBatches - Totals the quarantined copies of each batch
+ * @return {Array<object>} - Rows with batch, createdAt, files and size, oldest first
+ */
+export function getQuarantineBatches() {
+    return selectQuarantineBatches.all();
+}
+
+/**
+ * markPurged - Records that a quarantined copy was deleted for good
+ * @param {number} id - ID of the move in the operations table
+ */
+export function markPurged(id) {
+    markOperationPurged.run(id);
+}
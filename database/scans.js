@@ -0,0 +1,138 @@
+/**
+ * Database Scans Module
+ * Purpose: Keeps one record per scan run
+ * Why it's needed: Shows which runs finished, which were interrupted and how far they got
+ * How it works: Stores status, counters, options and the last completed directory per run
+ */
+
+// Declare prepared statement variables at module level
+let insertScan, updateScanCheckpoint, updateScanStatus, selectLastScan;
+
+/**
+ * SCAN_STATUS - The states a scan record can be in
+ * Why it's needed: Ensures consistent status values across the application
+ * How it works: Defines constants for each state to prevent typos
+ */
+export const SCAN_STATUS = {
+    RUNNING: 'running',         // In progress, or the process died without cleaning up
+    COMPLETED: 'completed',     // Finished normally
+    INTERRUPTED: 'interrupted', // Stopped with Ctrl-C after committing the current file
+    FAILED: 'failed',           // Stopped by an unexpected error
+    RESUMED: 'resumed'          // Unfinished, and picked up by a later scan
+};
+
+/**
+ * initializeScansTable - Creates the scans table in the database
+ * Why it's needed: Establishes the structure to store scan sessions
+ * How it works:
+ * 1. Creates a table with status, counters, options and checkpoint columns
+ * 2. Prepares SQL statements for later use
+ * @param {object} db - The database connection object
+ */
+export function initializeScansTable(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS scans (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            status TEXT NOT NULL,
+            started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            ended_at DATETIME,
+            roots TEXT,
+            options TEXT,
+            resumed_from INTEGER,
+            last_directory TEXT,
+            files_added INTEGER DEFAULT 0,
+            files_modified INTEGER DEFAULT 0,
+            files_removed INTEGER DEFAULT 0,
+            files_hashed INTEGER DEFAULT 0,
+            errors INTEGER DEFAULT 0
+        )
+    `);
+
+    // Statement to open a new scan record
+    insertScan = db.prepare(`
+        INSERT INTO scans (status, roots, options, resumed_from)
+        VALUES (@status, @roots, @options, @resumedFrom)
+    `);
+
+    // Statement to save the last completed directory and the counters so far
+    updateScanCheckpoint = db.prepare(`
+        UPDATE scans
+        SET last_directory = COALESCE(@lastDirectory, last_directory),
+            files_added = @filesAdded, files_modified = @filesModified,
+            files_removed = @filesRemoved, files_hashed = @filesHashed, errors = @errors
+        WHERE id = @id
+    `);
+
+    // Statement to close a scan record; a resumed record keeps the time it stopped
+    updateScanStatus = db.prepare(`
+        UPDATE scans
+        SET status = @status, ended_at = COALESCE(ended_at, CURRENT_TIMESTAMP)
+        WHERE id = @id
+    `);
+
+    // Statement to get the most recent scan record
+    selectLastScan = db.prepare(`
+        SELECT *
+        FROM scans
+        ORDER BY id DESC
+        LIMIT 1
+    `);
+}
+
+/**
+ * parseScan - Turns a scans row into a plain object with parsed JSON columns
+ * @param {object} row - Row from the scans table
+ * @return {object|null} - The scan record, or null
+ */
+function parseScan(row) {
+    if (!row) return null;
+    return {
+        ...row,
+        roots: row.roots ? JSON.parse(row.roots) : [],
+        options: row.options ? JSON.parse(row.options) : {}
+    };
+}
+
+/**
+ * startScan - Opens a record for a new scan run
+ * @param {object} scan - Object with roots, options and resumedFrom (or null)
+ * @return {number} - The new scan's ID
+ */
+export function startScan({ roots, options, resumedFrom = null }) {
+    const result = insertScan.run({
+        status: SCAN_STATUS.RUNNING,
+        roots: JSON.stringify(roots),
+        options: JSON.stringify(options),
+        resumedFrom
+    });
+    return Number(result.lastInsertRowid);
+}
+
+/**
+ * checkpointScan - Saves how far a scan got
+ * @param {number} id - The scan's ID
+ * @param {object} counters - Object with filesAdded, filesModified, filesRemoved, filesHashed and errors
+ * @param {string|null} [lastDirectory] - The last directory completely processed
+ * @return {object} - Result of the database operation
+ */
+export function checkpointScan(id, counters, lastDirectory = null) {
+    return updateScanCheckpoint.run({ id, lastDirectory, ...counters });
+}
+
+/**
+ * finishScan - Closes a scan record with its final status
+ * @param {number} id - The scan's ID
+ * @param {string} status - One of SCAN_STATUS
+ * @return {object} - Result of the database operation
+ */
+export function finishScan(id, status) {
+    return updateScanStatus.run({ id, status });
+}
+
+/**
+ * getLastScan - Retrieves the most recent scan record
+ * @return {object|null} - The scan record, or null if no scan has run
+ */
+export function getLastScan() {
+    return parseScan(selectLastScan.get());
+}
@@ -0,0 +1,111 @@
+/**
+ * Database Text Signatures Module
+ * Purpose: Stores MinHash signatures of indexed text files
+ * Why it's needed: Near-duplicate documents are found by comparing these
+ * signatures, which would otherwise mean reading every text file on every scan
+ * How it works: Keeps one row per text file with its signature and the size and
+ * mtime it was computed for, so a changed file is signed again
+ */
+
+import { TEXT_EXTENSIONS, MAX_TEXT_SIZE } from '../lib/text-hash.js';
+
+// Declare prepared statement variables at module level
+let selectTextFilesToSign, upsertTextSignature, deleteOrphanTextSignatures, selectTextSignatures;
+
+/**
+ * initializeTextSignaturesTable - Creates the text_signatures table in the database
+ * Why it's needed: Establishes the structure to store MinHash signatures
+ * How it works:
+ * 1. Creates a table keyed by file ID with signature, size and mtime columns;
+ *    binary files get a NULL signature so they aren't read again
+ * 2. Prepares SQL statements for later use
+ * @param {object} db - The database connection object
+ */
+export function initializeTextSignaturesTable(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS text_signatures (
+            file_id TEXT PRIMARY KEY,
+            signature BLOB,
+            shingles INTEGER,
+            size INTEGER,
+            mtime INTEGER
+        )
+    `);
+
+    const isText = TEXT_EXTENSIONS.map(extension => `lower(f.path) LIKE '%.${extension}'`).join(' OR ');
+
+    // Statement to find text files without a signature, or whose signature predates a change
+    selectTextFilesToSign = db.prepare(`
+        SELECT f.id, f.path, f.size, f.mtime, f.root
+        FROM files f
+        LEFT JOIN text_signatures t ON t.file_id = f.id
+        WHERE f.archive IS NULL AND f.size > 0 AND f.size <= ${MAX_TEXT_SIZE} AND (${isText})
+          AND (t.file_id IS NULL OR t.size != f.size OR t.mtime IS NOT f.mtime)
+        ORDER BY f.path
+    `);
+
+    // Statement to store a file's signature
+    upsertTextSignature = db.prepare(`
+        INSERT OR REPLACE INTO text_signatures (file_id, signature, shingles, size, mtime)
+        VALUES (@fileId, @signature, @shingles, @size, @mtime)
+    `);
+
+    // Statement to drop signatures of files that left the index or changed ID
+    deleteOrphanTextSignatures = db.prepare(`
+        DELETE FROM text_signatures
+        WHERE file_id NOT IN (SELECT id FROM files)
+    `);
+
+    // Statement to list every current signature with its file
+    selectTextSignatures = db.prepare(`
+        SELECT f.id, f.path, f.root, f.size, f.hash AS contentHash, t.signature, t.shingles
+        FROM text_signatures t
+        JOIN files f ON f.id = t.file_id
+        WHERE t.signature IS NOT NULL AND t.size = f.size AND t.mtime IS f.mtime
+        ORDER BY f.path
+    `);
+}
+
+/**
+ * getTextFilesToSign - Lists indexed text files that need a signature
+ * @return {Array<object>} - File records with id, path, size, mtime and root
+ */
+export function getTextFilesToSign() {
+    return selectTextFilesToSign.all();
+}
+
+/**
+ * saveTextSignature - Stores the MinHash signature of a text file
+ * @param {object} file - File record with id, size and mtime
+ * @param {object} result - Object with signature (Uint32Array or null) and shingles from hashText
+ * @return {object} - Result of the database operation
+ */
+export function saveTextSignature(file, { signature, shingles }) {
+    return upsertTextSignature.run({
+        fileId: file.id,
+        signature: signature ? Buffer.from(signature.buffer, signature.byteOffset, signature.byteLength) : null,
+        shingles,
+        size: file.size,
+        mtime: file.mtime
+    });
+}
+
+/**
+ * removeOrphanTextSignatures - Deletes signatures whose file is no longer indexed
+ * @return {number} - Number of signatures deleted
+ */
+export function removeOrphanTextSignatures() {
+    return deleteOrphanTextSignatures.run().changes;
+}
+
+/**
+ * getTextSignatures - Retrieves the current signature of every signed text file
+ * @return {Array<object>} - File records with the signature as a Uint32Array
+ */
+export function getTextSignatures() {
+    // Copy the BLOB so the Uint32Array view is 4-byte aligned
+    return selectTextSignatures.all().map(row => ({
+        ...row,
+        signature: new Uint32Array(Uint8Array.from(row.signature).buffer)
+    }));
+}
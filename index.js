@@ -1,25 +1,82 @@
 #!/usr/bin/env node
 
-import { scanDirectory } from './lib/scanner.js';
+import { scanDirectories } from './lib/scanner.js';
 import { startServer } from './lib/server.js';
-import { targetDir, log, argv, dbExists, dbPath, debugMode, showDuplicates, autoRemoveDuplicates as autoRemove, startServerMode } from './lib/vars.js';
-import { closeDatabase, initializeDatabase } from './database/files.js';
+import { targetDirs, log, argv, dbExists, dbPath, debugMode, showDuplicates, showErrors, showEmptyFiles, showOverlap, autoRemoveDuplicates as autoRemove, replaceWith, startServerMode, command, commandArgs, olderThanOption, useTrash, scanFirst, configFiles, profileName } from './lib/vars.js';
+import { closeDatabase, initializeDatabase, getRoots, db } from './database/files.js';
 import fs from 'fs';
-import { getMeta, META_KEYS } from './database/meta.js';
-import { displayDuplicates, displayDuplicateSummary, autoRemoveDuplicates } from './lib/console-report.js';
+import { getHashAlgorithm, getFilterRules, getQuarantineDirs } from './database/meta.js';
+import { getLastScan, SCAN_STATUS } from './database/scans.js';
+import { countErrors } from './database/errors.js';
+import { getIgnoredHashes } from './database/ignored-sets.js';
+import { getKeepRules } from './lib/keep-rules.js';
+import { REPLACE_MODES } from './lib/replace.js';
+import { writePlan, applyPlan, DEFAULT_PLAN_FILE } from './lib/plan.js';
+import { undoBatch } from './lib/journal.js';
+import { reviewDuplicates } from './lib/review.js';
+import { parseAge, purgeQuarantine, getQuarantineStatus } from './lib/quarantine.js';
+import { getBatches, getLatestBatch } from './database/operations.js';
+import { displayDuplicates, displayDuplicateSummary, autoRemoveDuplicates, displayErrors, displayEmptyFiles, displayOverlappingDirectories } from './lib/console-report.js';
+
+// Commands that work from the existing index and the journal without scanning
+const INDEX_COMMANDS = {
+    apply: runApply,
+    undo: runUndo,
+    purge: runPurge,
+    quarantine: runQuarantineStatus,
+    status: runStatus,
+    db: runDbCommand
+};
+
+// Commands that show the index as it is, through the report or the server below
+const VIEW_COMMANDS = ['report', 'serve'];
+
+// Commands that rescan first unless --no-scan is given
+const SCAN_COMMANDS = ['scan', 'clean', 'plan', 'review'];
 
 async function main() {
     try {
         if (debugMode) {
             log.debug('Starting application in debug mode');
             log.debug(`Command line arguments: ${JSON.stringify(argv)}`);
-            log.debug(`Target directory: ${targetDir}`);
+            log.debug(`Config files: ${configFiles.length > 0 ? configFiles.join(', ') : 'none'}${profileName ? `, profile '${profileName}'` : ''}`);
+            log.debug(`Target directories: ${targetDirs.join(', ')}`);
             log.debug(`Database path: ${dbPath}`);
             log.debug(`Database exists: ${dbExists}`);
         }
 
+        // Reject malformed --keep rules and --replace-with modes before spending time on a scan
+        getKeepRules();
+        if (replaceWith && !REPLACE_MODES.includes(replaceWith)) {
+            throw new Error(`Unknown --replace-with mode '${replaceWith}'. Use one of: ${REPLACE_MODES.join(', ')}`);
+        }
+        if (replaceWith && useTrash) {
+            throw new Error('--trash and --replace-with are different ways to remove duplicates; use one of them');
+        }
+        if (command && !INDEX_COMMANDS[command] && !VIEW_COMMANDS.includes(command) && !SCAN_COMMANDS.includes(command)) {
+            throw new Error(`Unknown command '${command}'. Run 'dedupe --help' for the list of commands`);
+        }
+        if (command === 'review' && !(process.stdin.isTTY && process.stdout.isTTY)) {
+            throw new Error('dedupe review needs an interactive terminal');
+        }
+        if (INDEX_COMMANDS[command]) {
+            requireIndex();
+            await INDEX_COMMANDS[command]();
+            closeDatabase();
+            process.exit(0);
+        }
+
+        // Report and serve, and anything run with --no-scan, use the index as it is
+        const skipScan = VIEW_COMMANDS.includes(command) || !scanFirst;
+        if (skipScan) {
+            requireIndex();
+        }
+
+        // Without a command the flags of earlier versions pick what happens after the scan
+        const legacyFlags = command === null;
+
         // If force flag is set and database exists, remove it for a fresh scan
-        if (dbExists && argv.force) {
+        if (dbExists && argv.force && !skipScan) {
             log.warning('Force flag detected. Removing existing database...');
             if (debugMode) log.debug('Closing database before removal');
             closeDatabase(); // Close the database connection first
@@ -40,25 +97,65 @@ async function main() {
         }
 
         // Perform the scan - this will now handle both new scans and resuming existing ones
-        log.info(`Scanning directory: ${targetDir}`);
-        if (debugMode) log.debug('Starting directory scan');
-        await scanDirectory(targetDir);
-        log.success('Scan completed successfully');
+        if (skipScan) {
+            if (debugMode) log.debug(`Using the index at ${dbPath} without scanning`);
+        } else {
+            log.info(`Scanning ${targetDirs.length > 1 ? 'directories' : 'directory'}: ${targetDirs.join(', ')}`);
+            if (debugMode) log.debug('Starting directory scan');
+            const scan = await scanDirectories(targetDirs);
+            if (scan.interrupted) {
+                closeDatabase();
+                process.exit(130);
+            }
+            log.success('Scan completed successfully');
+        }
         
         // Always show the duplicate summary
         if (debugMode) log.debug('Displaying duplicate summary');
         displayDuplicateSummary();
         
-        // Automatically remove duplicates if requested
-        if (autoRemove) {
-            if (debugMode) log.debug('Auto-remove flag detected, removing duplicates');
-            log.warning('Auto-removing duplicate files...');
+        // Write the actions auto-remove would take to a plan file for review
+        if (command === 'plan') {
+            const planFile = commandArgs[0] || DEFAULT_PLAN_FILE;
+            if (debugMode) log.debug(`Writing action plan to ${planFile}`);
+            const plan = writePlan(planFile, replaceWith || (useTrash ? 'trash' : 'move'));
+            log.success(`Wrote plan for ${plan.sets.length} duplicate sets to ${planFile} (${formatSize(plan.totalBytesFreed)} would be freed)`);
+            log.info(`Review or edit it, then run 'dedupe apply ${planFile}'`);
+        }
+
+        // Step through the duplicate sets and pick what to keep by hand
+        else if (command === 'review') {
+            const result = await reviewDuplicates(replaceWith || (useTrash ? 'trash' : 'move'));
+            if (result) {
+                log.success(`${result.filesRemoved} duplicate files removed (${formatSize(result.spaceFreed)} freed)`);
+                if (result.skipped.length > 0) {
+                    log.warning(`Skipped ${result.skipped.length} files that did not match their kept copy. Scan again to update the index.`);
+                }
+                if (result.failed.length > 0) {
+                    log.warning(`${result.failed.length} files could not be removed`);
+                }
+                if (result.batch) {
+                    log.info(`Undo with 'dedupe undo ${result.batch}'`);
+                }
+            }
+        }
+        
+        // Automatically remove duplicates, or replace them with links, if requested
+        else if (command === 'clean' || (legacyFlags && (autoRemove || replaceWith))) {
+            if (debugMode) log.debug('Auto-remove or replace flag detected, removing duplicates');
+            log.warning(replaceWith ? `Replacing duplicate files with ${replaceWith}s...` : 'Auto-removing duplicate files...');
             
             try {
-                const result = autoRemoveDuplicates();
+                const result = await autoRemoveDuplicates(replaceWith);
                 
                 if (result && result.success) {
-                    log.success(`Removed ${result.filesRemoved} duplicate files (${formatSize(result.spaceFreed)} freed)`);
+                    log.success(`${replaceWith ? 'Replaced' : 'Removed'} ${result.filesRemoved} duplicate files (${formatSize(result.spaceFreed)} freed)`);
+                    if (result.skipped.length > 0) {
+                        log.warning(`Skipped ${result.skipped.length} files that did not match their kept copy. Scan again to update the index.`);
+                    }
+                    if (result.batch) {
+                        log.info(`Undo with 'dedupe undo ${result.batch}'`);
+                    }
                 } else {
                     log.error('Failed to remove duplicates. Try using the web interface instead.');
                 }
@@ -69,19 +166,37 @@ async function main() {
         }
         
         // Show detailed duplicates in terminal if requested
-        else if (showDuplicates) {
+        else if (command === 'report' || (legacyFlags && showDuplicates)) {
             if (debugMode) log.debug('Displaying detailed duplicate files report');
             displayDuplicates();
         }
         
+        // Show folders that share much but not all of their content if requested
+        if (showOverlap) {
+            if (debugMode) log.debug('Displaying partially overlapping directories');
+            displayOverlappingDirectories();
+        }
+        
+        // List the zero-byte files left out of duplicate detection if requested
+        if (showEmptyFiles) {
+            if (debugMode) log.debug('Displaying empty files report');
+            displayEmptyFiles();
+        }
+        
+        // List the paths the scan couldn't read if requested
+        if (showErrors) {
+            if (debugMode) log.debug('Displaying scan errors report');
+            displayErrors();
+        }
+        
         // Only start the web server if the server flag is passed
-        if (startServerMode) {
+        if (command === 'serve' || (legacyFlags && startServerMode)) {
             log.info('Starting web interface...');
             if (debugMode) log.debug('Initializing web server');
             startServer();
             if (debugMode) log.debug('Web server started');
         } else {
-            if (debugMode) log.debug('Web server not started (use -w or --server flag to start)');
+            if (debugMode) log.debug("Web server not started (use 'dedupe serve' to start it)");
             // Gracefully exit the application when not running the server
             process.exit(0);
         }
@@ -92,6 +207,225 @@ async function main() {
     }
 }
 
+/**
+ * requireIndex - Stops commands that don't scan when there is no index to work from
+ * Why it's needed: Opening the database creates an empty one, which a later run
+ * would take for an index with no duplicates
+ * How it works: Removes the database file created by this run and throws
+ * @throws {Error} - If no index existed before this run
+ */
+function requireIndex() {
+    if (dbExists) return;
+    closeDatabase();
+    fs.rmSync(dbPath, { force: true });
+    throw new Error(`No index found at ${dbPath}. Run 'dedupe scan' first, or pass the --target that was scanned`);
+}
+
+/**
+ * runApply - Applies the plan file named after 'dedupe apply' and reports the outcome
+ * Why it's needed: Plans are reviewed offline; applying one must say what it left alone
+ * How it works: Refuses to run without an index, applies the plan and prints the totals
+ * and every skipped or failed file
+ */
+async function runApply() {
+    const planFile = commandArgs[0];
+    if (!planFile) {
+        throw new Error('Usage: dedupe apply <plan.json>');
+    }
+
+    log.info(`Applying plan ${planFile} to ${targetDirs.join(', ')}`);
+    let result;
+    try {
+        result = await applyPlan(planFile);
+    } catch (error) {
+        // Whatever was done before the error can still be undone
+        if (error.batch) {
+            log.warning(`Stopped part way. Undo what was done with 'dedupe undo ${error.batch}'`);
+        }
+        throw error;
+    }
+
+    log.success(`Acted on ${result.filesActedOn} files in ${result.setsApplied} sets (${formatSize(result.spaceFreed)} freed)`);
+    if (result.skipped.length > 0) {
+        log.warning(`Skipped ${result.skipped.length} files that no longer match the plan:`);
+        result.skipped.forEach(file => log.warning(`  ${file.path}: ${file.reason}`));
+    }
+    if (result.failed.length > 0) {
+        log.error(`Failed on ${result.failed.length} files:`);
+        result.failed.forEach(file => log.error(`  ${file.path}: ${file.reason}`));
+    }
+    if (result.batch) {
+        log.info(`Undo with 'dedupe undo ${result.batch}'`);
+    }
+}
+
+/**
+ * runUndo - Restores the batch named after 'dedupe undo', or the latest one
+ * Why it's needed: Every move or link is journaled so a cleanup can be taken back
+ * How it works: Picks the batch, restores its files and prints the totals and every
+ * file that was refused because something new took its place
+ */
+async function runUndo() {
+    const batch = commandArgs[0] || getLatestBatch();
+    if (!batch) {
+        log.info('Nothing to undo.');
+        return;
+    }
+    const known = getBatches();
+    const summary = known.find(entry => entry.batch === batch);
+    if (!summary) {
+        const recent = known.slice(0, 5).map(entry => `${entry.batch} (${entry.operations} files, ${entry.createdAt})`);
+        throw new Error(`Unknown batch '${batch}'.${recent.length > 0 ? ` Recent batches: ${recent.join(', ')}` : ''}`);
+    }
+    if (summary.pending === 0) {
+        log.info(`Batch ${batch} was already undone.`);
+        return;
+    }
+
+    log.info(`Undoing batch ${batch} (${summary.pending} files, ${summary.actions})`);
+    const result = await undoBatch(batch);
+
+    log.success(`Restored ${result.restored} files`);
+    if (result.refused.length > 0) {
+        log.warning(`Left ${result.refused.length} files where they are:`);
+        result.refused.forEach(file => log.warning(`  ${file.path}: ${file.reason}`));
+    }
+    if (result.failed.length > 0) {
+        log.error(`Failed on ${result.failed.length} files:`);
+        result.failed.forEach(file => log.error(`  ${file.path}: ${file.reason}`));
+    }
+}
+
+/**
+ * runPurge - Deletes quarantined copies older than --older-than for good
+ * Why it's needed: Space in quarantine is only reclaimed once the copies are deleted
+ * How it works: Requires an explicit age so nothing is purged by accident, purges
+ * and prints what was freed and what was left alone
+ */
+async function runPurge() {
+    if (olderThanOption === null) {
+        throw new Error("Usage: dedupe purge --older-than <age>, e.g. --older-than 30d ('0' purges everything)");
+    }
+    const olderThan = parseAge(olderThanOption);
+
+    log.warning(`Deleting quarantined copies older than ${olderThanOption}...`);
+    const result = await purgeQuarantine(olderThan);
+
+    log.success(`Purged ${result.purged} quarantined files (${formatSize(result.spaceFreed)} freed)`);
+    if (result.missing > 0) {
+        log.info(`${result.missing} quarantined files were already gone`);
+    }
+    if (result.changed.length > 0) {
+        log.warning(`Left ${result.changed.length} files that were replaced since they were quarantined:`);
+        result.changed.forEach(file => log.warning(`  ${file}`));
+    }
+}
+
+/**
+ * runQuarantineStatus - Prints how much space is sitting in quarantine
+ * Why it's needed: Shows what a purge would reclaim and which batches can still be undone
+ * How it works: Totals the journaled moves that were neither undone nor purged, per batch
+ */
+async function runQuarantineStatus() {
+    const olderThan = olderThanOption === null ? undefined : parseAge(olderThanOption);
+    const status = getQuarantineStatus(olderThan);
+
+    log.info(`Quarantine: ${status.files} files, ${formatSize(status.size)}`);
+    log.info(`Moved duplicates go to ${status.location}`);
+    if (status.files === 0) return;
+
+    log.info(`Oldest copy moved ${status.oldest} UTC`);
+    log.info(`Older than ${olderThanOption ?? '30d'}: ${status.expiredFiles} files, ${formatSize(status.expiredSize)}`);
+    status.batches.forEach(batch => {
+        console.log(`  ${batch.batch}  ${batch.createdAt}  ${batch.files} files  ${formatSize(batch.size)}`);
+    });
+    log.info(`Purge with 'dedupe purge --older-than ${olderThanOption ?? '30d'}', or restore a batch with 'dedupe undo <batch>'`);
+}
+
+/**
+ * runStatus - Prints the state of the index
+ * Why it's needed: Shows whether the index is current and what is pending without
+ * the wait of a rescan
+ * How it works: Reads the roots and the last scan record, prints the duplicate summary,
+ * then the unreadable paths, ignored sets, the batch undo would take back and the quarantine
+ */
+async function runStatus() {
+    const roots = getRoots.all().map(row => row.root);
+    log.info(`Index: ${dbPath}`);
+    log.info(`Roots: ${roots.length > 0 ? roots.join(', ') : 'none'}`);
+
+    const lastScan = getLastScan();
+    if (!lastScan) {
+        log.warning("No scan recorded yet. Run 'dedupe scan'");
+    } else if (lastScan.status === SCAN_STATUS.COMPLETED) {
+        log.info(`Last scan finished ${lastScan.ended_at} UTC: ${lastScan.files_added} added, ` +
+            `${lastScan.files_modified} modified, ${lastScan.files_removed} removed`);
+    } else {
+        log.warning(`Last scan started ${lastScan.started_at} UTC is ${lastScan.status}` +
+            `${lastScan.last_directory ? ` after ${lastScan.last_directory}` : ''}. Run 'dedupe scan' to resume it`);
+    }
+
+    displayDuplicateSummary();
+
+    const errors = countErrors();
+    if (errors > 0) {
+        log.warning(`${errors} paths could not be read. List them with 'dedupe report --show-errors'`);
+    }
+    const ignored = getIgnoredHashes().size;
+    if (ignored > 0) {
+        log.info(`${ignored} duplicate sets are ignored since a review`);
+    }
+    const latest = getLatestBatch();
+    if (latest) {
+        const batch = getBatches().find(entry => entry.batch === latest);
+        log.info(`Latest batch: ${latest} (${batch.pending} files, ${batch.actions}, ${batch.createdAt} UTC). Undo with 'dedupe undo'`);
+    }
+    const quarantine = getQuarantineStatus();
+    log.info(`Quarantine: ${quarantine.files} files, ${formatSize(quarantine.size)}`);
+}
+
+/**
+ * runDbCommand - Runs 'dedupe db info'
+ * Why it's needed: Shows how big the index is and what it holds when deciding whether
+ * to keep, move or rebuild it
+ * How it works: Sums the database file and its WAL files, reads the recorded hash
+ * algorithm and filters, and counts the rows of every table
+ */
+async function runDbCommand() {
+    if (commandArgs[0] !== 'info') {
+        throw new Error(`Unknown command 'db${commandArgs[0] ? ` ${commandArgs[0]}` : ''}'. Use 'dedupe db info'`);
+    }
+
+    const size = [dbPath, `${dbPath}-wal`, `${dbPath}-shm`]
+        .filter(file => fs.existsSync(file))
+        .reduce((total, file) => total + fs.statSync(file).size, 0);
+    log.info(`Database: ${dbPath} (${formatSize(size)})`);
+    log.info(`Hash algorithm: ${getHashAlgorithm() ?? 'not recorded'}`);
+
+    const rules = getFilterRules();
+    if (rules) {
+        const list = values => (values && values.length > 0 ? values.join(', ') : 'none');
+        log.info('Filters of the last scan:');
+        console.log(`  include: ${list(rules.include)}`);
+        console.log(`  exclude: ${list(rules.exclude)}`);
+        console.log(`  ext: ${list(rules.extensions)}`);
+        console.log(`  exclude-ext: ${list(rules.excludeExtensions)}`);
+        console.log(`  min-size: ${rules.minSize ? formatSize(rules.minSize) : 'none'}`);
+        console.log(`  max-size: ${rules.maxSize ? formatSize(rules.maxSize) : 'none'}`);
+    }
+
+    const quarantineDirs = getQuarantineDirs();
+    if (quarantineDirs.length > 0) log.info(`Quarantine directories left out of scans: ${quarantineDirs.join(', ')}`);
+
+    const tables = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name").all();
+    const width = Math.max(...tables.map(table => table.name.length));
+    log.info('Tables:');
+    tables.forEach(({ name }) => {
+        const { count } = db.prepare(`SELECT COUNT(*) as count FROM "${name}"`).get();
+        console.log(`  ${name.padEnd(width)}  ${count} rows`);
+    });
+}
+
 /**
  * formatSize - Converts bytes to a human-readable format
  * Why it's needed: Makes file sizes more readable
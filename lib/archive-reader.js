@@ -0,0 +1,406 @@
+/**
+ * Archive Reader Module
+ * Purpose: Lists and hashes the files stored inside zip and tar archives
+ * Why it's needed: With --archives, a loose file and its copy inside a backup
+ * bundle are reported as duplicates instead of the bundle being one opaque blob
+ * How it works: Parses the zip central directory or the tar headers in plain
+ * JavaScript and streams each member through zlib into the same hashes used
+ * for files on disk. Nothing is extracted to disk.
+ *
+ * This module must not import the database or vars.js, since worker threads
+ * load it and would otherwise open their own database connection.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { pipeline } from 'stream/promises';
+import { createStreamHasher } from './hasher.js';
+
+// File name endings of the archives --archives looks inside
+export const ARCHIVE_EXTENSIONS = ['zip', 'tar', 'tar.gz', 'tgz'];
+
+// Separates an archive's path from the path of a member, e.g. 'backup.zip!/docs/a.pdf'
+export const ARCHIVE_SEPARATOR = '!/';
+
+// Zip record signatures
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP64_END_LOCATOR = 0x07064b50;
+const ZIP64_END_OF_CENTRAL_DIRECTORY = 0x06064b50;
+const ZIP_CENTRAL_FILE_HEADER = 0x02014b50;
+const ZIP_LOCAL_FILE_HEADER = 0x04034b50;
+
+// The end of central directory record is 22 bytes plus a comment of up to 65535 bytes
+const ZIP_END_SEARCH_SIZE = 22 + 0xffff;
+
+// Zip compression methods that Node's zlib can read
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+
+// Tar archives are written in blocks of this many bytes
+const TAR_BLOCK_SIZE = 512;
+
+/**
+ * getArchiveType - Tells which reader handles a file
+ * @param {string} filePath - Path or name of the file
+ * @return {string|null} - 'zip', 'tar' or 'tar.gz', or null for other files
+ */
+export function getArchiveType(filePath) {
+    const name = filePath.toLowerCase();
+    if (name.endsWith('.zip')) return 'zip';
+    if (name.endsWith('.tar.gz') || name.endsWith('.tgz')) return 'tar.gz';
+    if (name.endsWith('.tar')) return 'tar';
+    return null;
+}
+
+/**
+ * normalizeEntryName - Cleans up a member path as stored in the archive
+ * Why it's needed: Archivers write names like './docs/a.pdf' or '/docs/a.pdf'
+ * @param {string} name - Member path from the archive
+ * @return {string|null} - Path without leading './' or '/', or null for directories
+ */
+function normalizeEntryName(name) {
+    if (name === '' || name.endsWith('/')) return null;
+    const normalized = path.posix.normalize(name.replace(/\\/g, '/')).replace(/^(\.\/|\/)+/, '');
+    return normalized === '' || normalized === '.' ? null : normalized;
+}
+
+/**
+ * readArchive - Hashes every file stored in an archive
+ * Why it's needed: Entry point for the hash worker's 'archive' task
+ * How it works: Picks the zip or tar reader from the file name; zero-byte
+ * members and members that can't be decompressed are counted as skipped
+ * @param {string} filePath - Path of the archive
+ * @param {string} algorithm - Hash algorithm name
+ * @return {Promise<object>} - Object with entries (name, size, hash, partialHash) and skipped count
+ */
+export async function readArchive(filePath, algorithm) {
+    const type = getArchiveType(filePath);
+    if (type === 'zip') return readZip(filePath, algorithm);
+    if (type === 'tar' || type === 'tar.gz') return readTar(filePath, type === 'tar.gz', algorithm);
+    throw new Error(`Not a supported archive: ${filePath}`);
+}
+
+/**
+ * readZipDirectory - Locates a zip file's central directory
+ * How it works: Searches the end of the file for the end of central directory
+ * record, following the zip64 locator when the record's fields overflowed
+ * @param {fs.promises.FileHandle} handle - The open archive
+ * @param {number} fileSize - Size of the archive in bytes
+ * @return {Promise<object>} - Object with offset and size of the central directory
+ */
+async function readZipDirectory(handle, fileSize) {
+    const searchSize = Math.min(fileSize, ZIP_END_SEARCH_SIZE);
+    const tail = Buffer.alloc(searchSize);
+    await handle.read(tail, 0, searchSize, fileSize - searchSize);
+
+    let end = -1;
+    for (let i = searchSize - 22; i >= 0; i--) {
+        if (tail.readUInt32LE(i) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) {
+        throw new Error('Not a valid zip archive (no end of central directory)');
+    }
+
+    let size = tail.readUInt32LE(end + 12);
+    let offset = tail.readUInt32LE(end + 16);
+
+    if ((size === 0xffffffff || offset === 0xffffffff) && end >= 20 && tail.readUInt32LE(end - 20) === ZIP64_END_LOCATOR) {
+        const record = Buffer.alloc(56);
+        await handle.read(record, 0, 56, Number(tail.readBigUInt64LE(end - 20 + 8)));
+        if (record.readUInt32LE(0) !== ZIP64_END_OF_CENTRAL_DIRECTORY) {
+            throw new Error('Not a valid zip archive (broken zip64 record)');
+        }
+        size = Number(record.readBigUInt64LE(40));
+        offset = Number(record.readBigUInt64LE(48));
+    }
+
+    if (offset + size > fileSize) {
+        throw new Error('Not a valid zip archive (central directory out of range)');
+    }
+    return { offset, size };
+}
+
+/**
+ * parseZipEntries - Reads the member list from a zip central directory
+ * How it works: Walks the central file headers, taking 64-bit sizes and
+ * offsets from the zip64 extra field where the 32-bit fields overflowed
+ * @param {Buffer} directory - The central directory
+ * @return {Array<object>} - Members with name, method, encrypted, compressedSize, size and offset
+ */
+function parseZipEntries(directory) {
+    const entries = [];
+    let position = 0;
+
+    while (position + 46 <= directory.length && directory.readUInt32LE(position) === ZIP_CENTRAL_FILE_HEADER) {
+        const flags = directory.readUInt16LE(position + 8);
+        const nameLength = directory.readUInt16LE(position + 28);
+        const extraLength = directory.readUInt16LE(position + 30);
+        const commentLength = directory.readUInt16LE(position + 32);
+        const nameStart = position + 46;
+        const entry = {
+            // Bit 11 marks UTF-8 names; older archivers wrote code page 437
+            name: directory.toString(flags & 0x800 ? 'utf8' : 'latin1', nameStart, nameStart + nameLength),
+            method: directory.readUInt16LE(position + 10),
+            encrypted: (flags & 0x1) !== 0,
+            compressedSize: directory.readUInt32LE(position + 20),
+            size: directory.readUInt32LE(position + 24),
+            offset: directory.readUInt32LE(position + 42)
+        };
+
+        let extra = nameStart + nameLength;
+        const extraEnd = extra + extraLength;
+        while (extra + 4 <= extraEnd) {
+            const id = directory.readUInt16LE(extra);
+            const length = directory.readUInt16LE(extra + 2);
+            if (id === 0x0001) {
+                let field = extra + 4;
+                for (const key of ['size', 'compressedSize', 'offset']) {
+                    if (entry[key] === 0xffffffff && field + 8 <= extra + 4 + length) {
+                        entry[key] = Number(directory.readBigUInt64LE(field));
+                        field += 8;
+                    }
+                }
+            }
+            extra += 4 + length;
+        }
+
+        entries.push(entry);
+        position = extraEnd + commentLength;
+    }
+
+    return entries;
+}
+
+/**
+ * readZip - Hashes the members of a zip archive
+ * How it works:
+ * 1. Reads the central directory for the member list
+ * 2. For each file, skips its local header and streams the stored or deflated
+ *    data through the stream hasher, one member at a time
+ * 3. Encrypted members and other compression methods are skipped
+ * @param {string} filePath - Path of the archive
+ * @param {string} algorithm - Hash algorithm name
+ * @return {Promise<object>} - Object with entries and skipped count
+ */
+async function readZip(filePath, algorithm) {
+    const handle = await fs.promises.open(filePath, 'r');
+    const entries = [];
+    let skipped = 0;
+
+    try {
+        const { size: fileSize } = await handle.stat();
+        const { offset, size } = await readZipDirectory(handle, fileSize);
+        const directory = Buffer.alloc(size);
+        await handle.read(directory, 0, size, offset);
+
+        for (const entry of parseZipEntries(directory)) {
+            const name = normalizeEntryName(entry.name);
+            if (name === null) continue;
+
+            if (entry.size === 0 || entry.encrypted || (entry.method !== ZIP_STORED && entry.method !== ZIP_DEFLATED)) {
+                skipped++;
+                continue;
+            }
+
+            const local = Buffer.alloc(30);
+            await handle.read(local, 0, 30, entry.offset);
+            if (local.readUInt32LE(0) !== ZIP_LOCAL_FILE_HEADER) {
+                throw new Error(`Not a valid zip archive (no local header for ${name})`);
+            }
+            const dataStart = entry.offset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+
+            const hasher = createStreamHasher(algorithm);
+            const stages = [handle.createReadStream({ autoClose: false, start: dataStart, end: dataStart + entry.compressedSize - 1 })];
+            if (entry.method === ZIP_DEFLATED) stages.push(zlib.createInflateRaw());
+            await pipeline(...stages, async (source) => {
+                for await (const chunk of source) hasher.update(chunk);
+            });
+
+            entries.push({ name, ...hasher.digest() });
+        }
+    } finally {
+        await handle.close();
+    }
+
+    return { entries, skipped };
+}
+
+/**
+ * parseOctal - Reads a numeric tar header field
+ * How it works: Fields are NUL or space terminated octal text; GNU tar writes
+ * sizes of 8 GiB and more in base-256 with the high bit of the first byte set
+ * @param {Buffer} block - The header block
+ * @param {number} offset - Start of the field
+ * @param {number} length - Length of the field
+ * @return {number} - The value
+ */
+function parseOctal(block, offset, length) {
+    if (block[offset] & 0x80) {
+        let value = block[offset] & 0x7f;
+        for (let i = 1; i < length; i++) value = value * 256 + block[offset + i];
+        return value;
+    }
+    const text = block.toString('latin1', offset, offset + length).replace(/[\0 ].*$/s, '').trim();
+    return text === '' ? 0 : parseInt(text, 8);
+}
+
+/**
+ * readString - Reads a NUL terminated tar header field
+ * @param {Buffer} block - The header block
+ * @param {number} offset - Start of the field
+ * @param {number} length - Length of the field
+ * @return {string} - The text before the first NUL
+ */
+function readString(block, offset, length) {
+    const end = block.indexOf(0, offset);
+    return block.toString('utf8', offset, end < 0 || end > offset + length ? offset + length : end);
+}
+
+/**
+ * isValidTarHeader - Checks a tar header's checksum
+ * Why it's needed: A file that merely ends in .tar must not be parsed as garbage entries
+ * How it works: Sums the header bytes with the checksum field counted as spaces
+ * @param {Buffer} block - The header block
+ * @return {boolean} - True if the stored checksum matches
+ */
+function isValidTarHeader(block) {
+    let sum = 0;
+    for (let i = 0; i < TAR_BLOCK_SIZE; i++) {
+        sum += i >= 148 && i < 156 ? 0x20 : block[i];
+    }
+    return sum === parseOctal(block, 148, 8);
+}
+
+/**
+ * parsePaxPath - Finds the path record in a pax extended header
+ * How it works: Records have the form '<length> <key>=<value>\n'
+ * @param {Buffer} data - The extended header's content
+ * @return {string|null} - The path value, or null if there is none
+ */
+function parsePaxPath(data) {
+    let position = 0;
+    while (position < data.length) {
+        const space = data.indexOf(0x20, position);
+        const length = parseInt(data.toString('latin1', position, space), 10);
+        if (space < 0 || !(length > 0)) break;
+
+        const record = data.toString('utf8', space + 1, position + length - 1);
+        const equals = record.indexOf('=');
+        if (record.slice(0, equals) === 'path') return record.slice(equals + 1);
+        position += length;
+    }
+    return null;
+}
+
+/**
+ * readTar - Hashes the members of a tar or gzip-compressed tar archive
+ * How it works:
+ * 1. Streams the archive, through gunzip for .tar.gz, and splits it into
+ *    512-byte header blocks and the data that follows each one
+ * 2. Regular files are fed to the stream hasher as their data arrives
+ * 3. GNU long names and pax path records name the member that follows them
+ * 4. Links, directories and other special members are skipped
+ * @param {string} filePath - Path of the archive
+ * @param {boolean} gzipped - Whether the archive is gzip compressed
+ * @param {string} algorithm - Hash algorithm name
+ * @return {Promise<object>} - Object with entries and skipped count
+ */
+async function readTar(filePath, gzipped, algorithm) {
+    const entries = [];
+    let skipped = 0;
+
+    // The member being read: its name, how many data and padding bytes remain, and where data goes
+    let remaining = 0;
+    let padding = 0;
+    let sink = null;
+    let finish = null;
+    let nextName = null;
+    let ended = false;
+    let pending = Buffer.alloc(0);
+
+    const startMember = (block) => {
+        if (!isValidTarHeader(block)) {
+            throw new Error('Not a valid tar archive (bad header checksum)');
+        }
+
+        const size = parseOctal(block, 124, 12);
+        const type = block[156] === 0 ? '0' : String.fromCharCode(block[156]);
+        const prefix = block.toString('latin1', 257, 262) === 'ustar' ? readString(block, 345, 155) : '';
+        const headerName = prefix ? `${prefix}/${readString(block, 0, 100)}` : readString(block, 0, 100);
+        remaining = size;
+        padding = (TAR_BLOCK_SIZE - (size % TAR_BLOCK_SIZE)) % TAR_BLOCK_SIZE;
+        sink = null;
+        finish = null;
+
+        if (type === 'L' || type === 'x') {
+            // Long name records apply to the next member
+            const parts = [];
+            sink = (chunk) => parts.push(Buffer.from(chunk));
+            finish = () => {
+                const data = Buffer.concat(parts);
+                nextName = type === 'L' ? readString(data, 0, data.length) : parsePaxPath(data) ?? nextName;
+            };
+        } else if (type === '0' || type === '7') {
+            const name = normalizeEntryName(nextName ?? headerName);
+            nextName = null;
+            if (name === null) return;
+            if (size === 0) {
+                skipped++;
+                return;
+            }
+            const hasher = createStreamHasher(algorithm);
+            sink = (chunk) => hasher.update(chunk);
+            finish = () => entries.push({ name, ...hasher.digest() });
+        } else if (type !== 'g') {
+            // Directories, links and devices have no content of their own
+            nextName = null;
+        }
+
+        if (remaining === 0 && finish) finish();
+    };
+
+    const consume = (chunk) => {
+        let position = 0;
+        while (position < chunk.length && !ended) {
+            if (remaining > 0) {
+                const length = Math.min(remaining, chunk.length - position);
+                if (sink) sink(chunk.subarray(position, position + length));
+                position += length;
+                remaining -= length;
+                if (remaining === 0 && finish) finish();
+            } else if (padding > 0) {
+                const length = Math.min(padding, chunk.length - position);
+                position += length;
+                padding -= length;
+            } else if (chunk.length - position < TAR_BLOCK_SIZE) {
+                // Headers can straddle chunks; keep the start for the next one
+                pending = Buffer.from(chunk.subarray(position));
+                return;
+            } else {
+                const block = chunk.subarray(position, position + TAR_BLOCK_SIZE);
+                position += TAR_BLOCK_SIZE;
+                // An all-zero block marks the end of the archive
+                if (block.every(byte => byte === 0)) ended = true;
+                else startMember(block);
+            }
+        }
+        pending = Buffer.alloc(0);
+    };
+
+    const stages = [fs.createReadStream(filePath)];
+    if (gzipped) stages.push(zlib.createGunzip());
+    await pipeline(...stages, async (source) => {
+        for await (const chunk of source) {
+            consume(pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk);
+        }
+    });
+
+    if (remaining > 0) {
+        throw new Error('Not a valid tar archive (truncated)');
+    }
+    return { entries, skipped };
+}
@@ -0,0 +1,207 @@
+/**
+ * Config Module
+ * Purpose: Reads option defaults and named profiles from a config file
+ * Why it's needed: Long option sets used against the same shares had to be typed in full
+ * on every run
+ * How it works: dedupe.config.json (or .deduperc, also JSON) is looked up in the home
+ * directory and in the target directory. Its keys are the long option names, plus
+ * 'profiles', which maps profile names to further options:
+ *
+ *   {
+ *     "jobs": 4,
+ *     "profiles": {
+ *       "nas": { "target": ["/mnt/nas"], "exclude": ["@eaDir/**"], "keep": ["oldest"], "port": 8080 }
+ *     }
+ *   }
+ *
+ * Later sources win: the home file, then the target's file, then the profile picked
+ * with --profile, then the command line. Relative paths in 'target', 'remove-from' and
+ * 'quarantine' are taken relative to the file they are in. The target's file is found
+ * through the target, so only the home file and its profiles may set 'target'.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// File names looked up in each directory, in order of preference
+export const CONFIG_FILES = ['dedupe.config.json', '.deduperc'];
+
+/**
+ * OPTION_TYPES - The value every option takes in a config file
+ * How it works: 'list' and 'paths' accept one string or an array of strings; 'value'
+ * accepts a string or a number, for sizes and ages such as "10K" or 30
+ */
+const OPTION_TYPES = {
+    target: 'paths',
+    force: 'boolean',
+    debug: 'boolean',
+    jobs: 'number',
+    algorithm: 'string',
+    include: 'list',
+    exclude: 'list',
+    ext: 'list',
+    'exclude-ext': 'list',
+    'min-size': 'value',
+    'max-size': 'value',
+    'include-empty': 'boolean',
+    'follow-symlinks': 'boolean',
+    archives: 'boolean',
+    'similar-images': 'boolean',
+    'similar-threshold': 'number',
+    'similar-text': 'boolean',
+    'similar-text-threshold': 'number',
+    keep: 'list',
+    'remove-from': 'paths',
+    'replace-with': 'string',
+    trash: 'boolean',
+    quarantine: 'path',
+    verify: 'boolean',
+    scan: 'boolean',
+    'older-than': 'value',
+    'show-dupes': 'boolean',
+    'auto-remove': 'boolean',
+    server: 'boolean',
+    port: 'number',
+    host: 'string',
+    'show-errors': 'boolean',
+    'show-empty': 'boolean',
+    'show-overlap': 'boolean'
+};
+
+// What each type expects, for error messages
+const TYPE_DESCRIPTIONS = {
+    boolean: 'true or false',
+    number: 'a number',
+    string: 'a string',
+    path: 'a path',
+    value: 'a string or a number',
+    list: 'a string or an array of strings',
+    paths: 'a path or an array of paths'
+};
+
+/**
+ * hasType - Checks a value against an option type
+ * @param {any} value - The value from the config file
+ * @param {string} type - One of the types in OPTION_TYPES
+ * @return {boolean} - True if the value fits
+ */
+function hasType(value, type) {
+    switch (type) {
+        case 'boolean': return typeof value === 'boolean';
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'string':
+        case 'path': return typeof value === 'string';
+        case 'value': return typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value));
+        default: return typeof value === 'string' || (Array.isArray(value) && value.every(entry => typeof entry === 'string'));
+    }
+}
+
+/**
+ * readOptions - Validates one set of options and resolves its paths
+ * @param {object} options - Top level of a config file, or one profile
+ * @param {string} file - Path of the config file, for error messages and relative paths
+ * @param {string} prefix - Where the options sit in the file, e.g. 'profiles.nas.'
+ * @return {object} - The options, with paths made absolute
+ * @throws {Error} - Naming the first key that isn't an option or has a value of the wrong type
+ */
+function readOptions(options, file, prefix) {
+    const result = {};
+    for (const [key, value] of Object.entries(options)) {
+        const type = OPTION_TYPES[key];
+        if (!type) {
+            const negated = key.startsWith('no-') && OPTION_TYPES[key.slice(3)] === 'boolean';
+            throw new Error(`${file}: '${prefix}${key}' is not an option` +
+                (negated ? `; use "${key.slice(3)}": false` : ''));
+        }
+        if (!hasType(value, type)) {
+            throw new Error(`${file}: '${prefix}${key}' must be ${TYPE_DESCRIPTIONS[type]}`);
+        }
+
+        const resolve = entry => path.resolve(path.dirname(file), entry);
+        if (type === 'path') result[key] = resolve(value);
+        else if (type === 'paths') result[key] = [].concat(value).map(resolve);
+        else result[key] = value;
+    }
+    return result;
+}
+
+/**
+ * readConfigFile - Finds, parses and validates the config file of a directory
+ * @param {string} dir - Directory to look in
+ * @return {object|null} - Object with file, options and profiles, or null if there is none
+ * @throws {Error} - If the file isn't valid JSON or holds an invalid key
+ */
+function readConfigFile(dir) {
+    const file = CONFIG_FILES.map(name => path.join(dir, name)).find(candidate => fs.existsSync(candidate));
+    if (!file) return null;
+
+    let content;
+    try {
+        content = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`${file}: ${error.message}`);
+    }
+    if (!content || typeof content !== 'object' || Array.isArray(content)) {
+        throw new Error(`${file}: must hold a JSON object of options`);
+    }
+
+    const { profiles = {}, ...options } = content;
+    if (!profiles || typeof profiles !== 'object' || Array.isArray(profiles)) {
+        throw new Error(`${file}: 'profiles' must be an object of named option sets`);
+    }
+
+    const readProfiles = {};
+    for (const [name, profile] of Object.entries(profiles)) {
+        if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+            throw new Error(`${file}: 'profiles.${name}' must be an object of options`);
+        }
+        readProfiles[name] = readOptions(profile, file, `profiles.${name}.`);
+    }
+    return { file, options: readOptions(options, file, ''), profiles: readProfiles };
+}
+
+/**
+ * loadConfig - Collects the option defaults from the config files and the chosen profile
+ * Why it's needed: lib/vars.js hands the result to minimist as defaults, so anything
+ * given on the command line still wins
+ * How it works:
+ * 1. Reads the home directory's file
+ * 2. Picks the target from the command line, else from the profile, else from the home
+ *    file, else the current directory, and reads that directory's file unless it is the
+ *    home directory
+ * 3. Lays the target's options over the home options and the profile over both
+ * @param {object} cli - Object with target and profile as given on the command line
+ * @return {object} - Object with options, files (the config files read) and profile
+ * @throws {Error} - If a file is invalid, the target's file or one of its profiles sets
+ * 'target', or the profile doesn't exist
+ */
+export function loadConfig({ target, profile }) {
+    const homeDir = os.homedir();
+    const home = readConfigFile(homeDir);
+
+    const profileTarget = profile ? home?.profiles[profile]?.target : undefined;
+    const targetDir = path.resolve(String([].concat(target ?? profileTarget ?? home?.options.target ?? process.cwd())[0]));
+    const local = targetDir === path.resolve(homeDir) ? null : readConfigFile(targetDir);
+
+    const targetKey = local?.options.target ? 'target'
+        : Object.entries(local?.profiles ?? {}).filter(([, options]) => options.target).map(([name]) => `profiles.${name}.target`)[0];
+    if (targetKey) {
+        throw new Error(`${local.file}: '${targetKey}' can only be set in the home directory's ` +
+            `${CONFIG_FILES.join(' or ')}, since this file is found through the target`);
+    }
+
+    const sources = [home, local].filter(Boolean);
+    const profiles = Object.assign({}, ...sources.map(source => source.profiles));
+    if (profile && !profiles[profile]) {
+        const known = Object.keys(profiles);
+        throw new Error(`Unknown profile '${profile}'. ` +
+            (known.length > 0 ? `Profiles: ${known.join(', ')}` : `No ${CONFIG_FILES.join(' or ')} defines profiles`));
+    }
+
+    return {
+        options: Object.assign({}, ...sources.map(source => source.options), profile ? profiles[profile] : {}),
+        files: sources.map(source => source.file),
+        profile: profile ?? null
+    };
+}
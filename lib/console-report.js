@@ -6,9 +6,17 @@
  */
 
 import chalk from 'chalk';
-import { getDuplicates, getFilesByHash, db } from '../database/files.js';
-import { log, baseDir } from './vars.js';
-import fs from 'fs';
+import { getDuplicates, getLinkedGroups, getHardlinkStats, getFilesByHash, getEmptyFiles, db } from '../database/files.js';
+import { log, similarImages, similarText, verifyCopies, useTrash, serverPort } from './vars.js';
+import { planDuplicateSet, physicalKey } from './duplicate-sets.js';
+import { getArchiveStats } from '../database/archives.js';
+import { getIgnoredHashes } from '../database/ignored-sets.js';
+import { verifyDuplicate } from './verify.js';
+import { createBatchId, moveDuplicate, trashDuplicate, replaceDuplicate } from './journal.js';
+import { getErrors } from '../database/errors.js';
+import { findSimilarImages } from './similar-images.js';
+import { findSimilarText, getTextDiff } from './similar-text.js';
+import { findDuplicateDirectories, createDirectoryCoverage, findOverlappingDirectories } from './directory-sets.js';
 import path from 'path';
 
 /**
@@ -28,14 +36,23 @@ function formatSize(bytes) {
 }
 
 /**
- * autoRemoveDuplicates - Automatically moves duplicate files to a dedicated directory
+ * autoRemoveDuplicates - Automatically moves or replaces duplicate files
  * Why it's needed: Provides automatic cleanup without requiring the web interface
  * How it works: 
- * 1. For each duplicate set, keeps the shortest path file
- * 2. Moves all other files to a @duplicates directory preserving paths
- * @return {object} - Statistics about the operation
+ * 1. For each duplicate set, keeps the file chosen by the keep rules
+ * 2. Moves all other files into quarantine (@duplicates next to their root, or
+ *    --quarantine) preserving paths, or with --trash into the desktop Trash, or with --replace-with replaces them in place with links to the kept file
+ * 3. Leaves hardlinks of the kept file, protected files, copies inside archives and
+ *    sets ignored in review in place
+ * 4. Unless --no-verify is set, skips any copy that changed since the scan or
+ *    doesn't match the kept file byte for byte
+ * 5. Journals every action under one batch ID that 'dedupe undo' can reverse
+ * @param {string|null} [replaceMode] - 'hardlink', 'symlink' or 'reflink' to replace
+ * duplicates instead of moving them
+ * @return {Promise<object>} - Statistics about the operation, with the skipped files and why
+ * and the batch ID (null if nothing was done)
  */
-export function autoRemoveDuplicates() {
+export async function autoRemoveDuplicates(replaceMode = null) {
     try {
         // Get all duplicate sets and ensure it's an array
         const duplicatesResult = getDuplicates.all();
@@ -47,65 +64,81 @@ export function autoRemoveDuplicates() {
                 success: true, 
                 setsProcessed: 0, 
                 filesRemoved: 0, 
-                spaceFreed: 0 
+                spaceFreed: 0,
+                skipped: [],
+                batch: null
             };
         }
         
-        // Create duplicates directory if it doesn't exist
-        const duplicatesDir = path.join(baseDir, `@duplicates`);
-        if (!fs.existsSync(duplicatesDir)) {
-            fs.mkdirSync(duplicatesDir, { recursive: true });
-            log.info(`Created duplicates directory: ${duplicatesDir}`);
-        }
-        
         let totalFilesRemoved = 0;
         let totalSpaceFreed = 0;
+        const skipped = [];
+        // Every action of this run is journaled under one batch, so it can be undone at once
+        const batch = createBatchId();
         
         // Process each duplicate set
-        duplicates.forEach((group, index) => {
+        const ignored = getIgnoredHashes();
+        for (const [index, group] of duplicates.entries()) {
+            if (ignored.has(group.hash)) {
+                log.info(`Skipping duplicate set #${index + 1}: ignored in review`);
+                continue;
+            }
             const files = getFilesByHash.all(group.hash);
             
             if (files.length <= 1) {
-                return; // Skip if there's only one file (shouldn't happen)
+                continue; // Skip if there's only one file (shouldn't happen)
             }
             
-            // Choose the original file (shortest path)
-            const original = files.reduce((shortest, current) => 
-                current.path.length < shortest.path.length ? current : shortest
-            );
+            // Choose the original file and the copies that actually use space
+            const { original, rule, removable, linked, protected: protectedFiles, archived } = planDuplicateSet(files);
             
-            // Move all other files to the duplicates directory
-            const duplicateFiles = files.filter(file => file.path !== original.path);
+            log.info(`Processing duplicate set #${index + 1} - Keeping: ${original.path} (${rule})`);
+            linked.forEach(file => log.info(`Skipping hardlink of kept file: ${file.path}`));
+            protectedFiles.forEach(file => log.info(`Skipping protected file or file in read-only root: ${file.path}`));
+            archived.forEach(file => log.info(`Skipping copy inside an archive: ${file.path}`));
             
-            log.info(`Processing duplicate set #${index + 1} - Keeping: ${original.path}`);
+            // Hardlinks among the removed copies free their space only once
+            const freedKeys = new Set();
             
-            duplicateFiles.forEach(file => {
-                const sourcePath = path.join(baseDir, file.path);
-                const destPath = path.join(duplicatesDir, file.path);
-                
-                // Create the destination directory structure
-                const destDir = path.dirname(destPath);
-                if (!fs.existsSync(destDir)) {
-                    fs.mkdirSync(destDir, { recursive: true });
+            for (const file of removable) {
+                // The stored hash may be stale; only a verified copy is moved
+                const mismatch = verifyCopies ? await verifyDuplicate(original, file) : null;
+                if (mismatch) {
+                    log.warning(`Skipped ${file.path}: ${mismatch}`);
+                    skipped.push({ path: file.path, reason: mismatch });
+                    continue;
                 }
                 
                 try {
-                    // Move the file
-                    fs.renameSync(sourcePath, destPath);
-                    log.success(`Moved: ${file.path} (${formatSize(file.size)})`);
+                    if (replaceMode) {
+                        // Swap the copy for a link to the kept file
+                        const used = await replaceDuplicate(original, file, replaceMode, batch);
+                        log.success(`Replaced with ${used}: ${file.path} (${formatSize(file.size)})`);
+                    } else if (useTrash) {
+                        await trashDuplicate(file, batch);
+                        log.success(`Trashed: ${file.path} (${formatSize(file.size)})`);
+                    } else {
+                        await moveDuplicate(file, batch);
+                        log.success(`Moved: ${file.path} (${formatSize(file.size)})`);
+                    }
                     totalFilesRemoved++;
-                    totalSpaceFreed += file.size;
+                    if (!freedKeys.has(physicalKey(file))) {
+                        freedKeys.add(physicalKey(file));
+                        totalSpaceFreed += file.size;
+                    }
                 } catch (error) {
-                    log.error(`Failed to move ${file.path}: ${error.message}`);
+                    log.error(`Failed to ${replaceMode ? 'replace' : 'move'} ${file.path}: ${error.message}`);
                 }
-            });
-        });
+            }
+        }
         
         return {
             success: true,
             setsProcessed: duplicates.length,
             filesRemoved: totalFilesRemoved,
-            spaceFreed: totalSpaceFreed
+            spaceFreed: totalSpaceFreed,
+            skipped,
+            batch: totalFilesRemoved > 0 ? batch : null
         };
         
     } catch (error) {
@@ -125,24 +158,39 @@ export function autoRemoveDuplicates() {
 export function displayDuplicateSummary() {
     try {
         // Get total file counts and sizes
-        const totalStats = db.prepare('SELECT COUNT(*) as count, SUM(size) as totalSize FROM files').get();
+        // Archive members are not files on disk and are counted separately
+        const totalStats = db.prepare('SELECT COUNT(*) as count, SUM(size) as totalSize FROM files WHERE archive IS NULL').get();
         
         // Get duplicate stats and ensure it's an array
         const duplicatesResult = getDuplicates.all();
         const duplicates = Array.isArray(duplicatesResult) ? duplicatesResult : [];
         
-        // Calculate file counts and sizes
+        // Calculate file counts and sizes; copies in sets ignored in review are counted apart
         let duplicateFileCount = 0;
         let duplicateSize = 0;
+        let ignoredFileCount = 0;
+        let ignoredSize = 0;
+        const ignored = getIgnoredHashes();
         
         duplicates.forEach(group => {
-            duplicateFileCount += (group.count - 1);
-            duplicateSize += group.size * (group.count - 1);
+            if (ignored.has(group.hash)) {
+                ignoredFileCount += (group.copies - 1);
+                ignoredSize += group.size * (group.copies - 1);
+            } else {
+                duplicateFileCount += (group.copies - 1);
+                duplicateSize += group.size * (group.copies - 1);
+            }
         });
         
-        // Calculate original files (total minus duplicates)
-        const originalFileCount = totalStats.count - duplicateFileCount;
-        const originalSize = totalStats.totalSize - duplicateSize;
+        // Extra paths to data that is already counted use no additional space
+        const hardlinks = getHardlinkStats.get();
+        
+        // Zero-byte files are never compared, so they are neither originals nor duplicates
+        const emptyFileCount = getEmptyFiles.all().length;
+        
+        // Calculate original files (total minus duplicates, hardlinks and empty files)
+        const originalFileCount = totalStats.count - duplicateFileCount - ignoredFileCount - hardlinks.count - emptyFileCount;
+        const originalSize = totalStats.totalSize - duplicateSize - ignoredSize - hardlinks.totalSize;
         
         // Display as a table without chalk colors
         console.log('\n┌─────────────┬───────────┬────────────────┐');
@@ -152,10 +200,40 @@ export function displayDuplicateSummary() {
         console.log('├─────────────┼───────────┼────────────────┤');
         console.log(`│ Original    │ ${padRight(originalFileCount, 9)} │ ${padRight(formatSize(originalSize), 14)} │`);
         console.log(`│ Duplicates  │ ${padRight(duplicateFileCount, 9)} │ ${padRight(formatSize(duplicateSize), 14)} │`);
+        if (ignoredFileCount > 0) {
+            console.log(`│ Ignored     │ ${padRight(ignoredFileCount, 9)} │ ${padRight(formatSize(ignoredSize), 14)} │`);
+        }
+        console.log(`│ Hardlinked  │ ${padRight(hardlinks.count, 9)} │ ${padRight(formatSize(hardlinks.totalSize), 14)} │`);
+        console.log(`│ Empty       │ ${padRight(emptyFileCount, 9)} │ ${padRight('-', 14)} │`);
         console.log('└─────────────┴───────────┴────────────────┘');
         
         if (duplicateFileCount > 0) {
-            console.log(`\nUse '--show-dupes' flag for detailed report or '--auto-remove' to clean up duplicates`);
+            console.log(`\nUse 'dedupe report' for a detailed report or 'dedupe clean' to clean up duplicates`);
+        }
+        const directoryGroups = findDuplicateDirectories();
+        if (directoryGroups.length > 0) {
+            const copies = directoryGroups.reduce((total, group) => total + group.count - 1, 0);
+            console.log(`${copies} directories are exact copies of another directory. Use 'dedupe report --show-overlap' to see folders that only partly overlap`);
+        }
+        const archiveStats = getArchiveStats();
+        if (archiveStats.count > 0) {
+            const archivedCopies = duplicates.reduce((total, group) => total + group.archived, 0);
+            console.log(`Indexed ${archiveStats.count} files inside archives (${formatSize(archiveStats.totalSize)}); ${archivedCopies} of them copy a file on disk and are listed as ARCH (never removed)`);
+        }
+        if (emptyFileCount > 0) {
+            console.log(`Empty files are not treated as duplicates. Use 'dedupe report --show-empty' to list them or 'dedupe scan --include-empty' to compare them`);
+        }
+        if (similarImages) {
+            const similarGroups = findSimilarImages();
+            if (similarGroups.length > 0) {
+                console.log(`Found ${similarGroups.length} groups of similar images (never auto-removed). Use 'dedupe report' to list them`);
+            }
+        }
+        if (similarText) {
+            const textGroups = findSimilarText();
+            if (textGroups.length > 0) {
+                console.log(`Found ${textGroups.length} groups of similar text files (never auto-removed). Use 'dedupe report' to see their differences`);
+            }
         }
         
     } catch (error) {
@@ -172,7 +250,10 @@ function padRight(value, length) {
 /**
  * displayDuplicates - Shows duplicate file information in the terminal
  * Why it's needed: Allows users to see potential space savings without web UI
- * How it works: Queries the database and formats the output for the console
+ * How it works: Queries the database and formats the output for the console;
+ * identical directory trees are listed once instead of file by file, hardlinks
+ * are marked, and groups of only hardlinks, sets ignored in review and groups of
+ * similar images and text files are listed separately
  */
 export function displayDuplicates() {
     try {
@@ -180,8 +261,13 @@ export function displayDuplicates() {
         const duplicatesResult = getDuplicates.all();
         const duplicates = Array.isArray(duplicatesResult) ? duplicatesResult : [];
         
+        const linkedGroups = getLinkedGroups.all();
+        
         if (duplicates.length === 0) {
             log.info('No duplicate files found.');
+            displayLinkedGroups(linkedGroups);
+            displaySimilarImages();
+            displaySimilarText();
             return;
         }
         
@@ -192,35 +278,313 @@ export function displayDuplicates() {
         console.log(chalk.yellow('DUPLICATE FILES REPORT'));
         console.log(chalk.yellow('═'.repeat(80)) + '\n');
         
-        duplicates.forEach((group, index) => {
+        // Copied folders are shown once; their file sets are left out below
+        const directoryGroups = findDuplicateDirectories();
+        const isInDuplicateDirectory = createDirectoryCoverage(directoryGroups);
+        displayDuplicateDirectories(directoryGroups);
+        
+        let shownSets = 0;
+        let collapsedSets = 0;
+        const ignored = getIgnoredHashes();
+        const ignoredGroups = duplicates.filter(group => ignored.has(group.hash));
+        
+        duplicates.filter(group => !ignored.has(group.hash)).forEach(group => {
             const files = getFilesByHash.all(group.hash);
-            const wastedSpace = group.size * (group.count - 1);
+            const wastedSpace = group.size * (group.copies - 1);
             totalWastedSpace += wastedSpace;
-            totalDuplicateFiles += (group.count - 1);
+            totalDuplicateFiles += (group.copies - 1);
+            
+            if (files.every(isInDuplicateDirectory)) {
+                collapsedSets++;
+                return;
+            }
             
-            console.log(chalk.green(`Duplicate Set #${index + 1} - ${formatSize(group.size)} each - Wasted: ${formatSize(wastedSpace)}`));
+            // The kept file is the one auto-remove and the web interface would keep
+            const plan = planDuplicateSet(files);
+            console.log(chalk.green(`Duplicate Set #${++shownSets} - ${formatSize(group.size)} each - Wasted: ${formatSize(wastedSpace)}`) +
+                chalk.gray(` - kept by: ${plan.rule}`));
             console.log(chalk.gray('─'.repeat(80)));
             
-            // Show each duplicate file path
-            files.forEach((file, fileIndex) => {
-                const prefix = fileIndex === 0 ? chalk.green('✓ KEEP: ') : chalk.red('✗ DUPE: ');
+            // Show each duplicate file path, kept file first; hardlinks of the kept file
+            // share its storage, and protected files and copies inside archives are only reported
+            console.log(`${chalk.green('✓ KEEP: ')}${plan.original.path}`);
+            files.filter(file => file !== plan.original).forEach(file => {
+                let prefix = chalk.red('✗ DUPE: ');
+                if (plan.archived.includes(file)) prefix = chalk.magenta('▣ ARCH: ');
+                else if (plan.linked.includes(file)) prefix = chalk.blue('⇔ LINK: ');
+                else if (plan.protected.includes(file)) prefix = chalk.cyan('⊘ PROT: ');
                 console.log(`${prefix}${file.path}`);
             });
             
             console.log('\n');
         });
         
+        if (collapsedSets > 0) {
+            console.log(chalk.gray(`${collapsedSets} duplicate sets inside the duplicate directories above are not listed separately\n`));
+        }
+        
         console.log(chalk.yellow('═'.repeat(80)));
-        console.log(chalk.yellow(`SUMMARY: ${duplicates.length} duplicate sets found`));
+        console.log(chalk.yellow(`SUMMARY: ${duplicates.length - ignoredGroups.length} duplicate sets found` +
+            (ignoredGroups.length > 0 ? `, ${ignoredGroups.length} more ignored in review` : '')));
         console.log(chalk.yellow(`Total Duplicate Files: ${totalDuplicateFiles}`));
         console.log(chalk.yellow(`Total Space Wasted: ${formatSize(totalWastedSpace)}`));
         console.log(chalk.yellow(`Potential Space Savings: ${formatSize(totalWastedSpace)}`));
         console.log(chalk.yellow('═'.repeat(80)) + '\n');
         
-        console.log(chalk.cyan(`To remove duplicates, use the web interface at http://localhost:3000`));
-        console.log(chalk.cyan(`Or run this command with the '--auto-remove' flag to automatically remove duplicates`));
+        displayIgnoredGroups(ignoredGroups);
+        displayLinkedGroups(linkedGroups);
+        displaySimilarImages();
+        displaySimilarText();
+        
+        console.log(chalk.cyan(`To remove duplicates, run 'dedupe serve' and use the web interface at http://localhost:${serverPort}`));
+        console.log(chalk.cyan(`Or run 'dedupe clean' to automatically remove duplicates`));
         
     } catch (error) {
         log.error(`Error displaying duplicates: ${error.message}`);
     }
-} 
\ No newline at end of file
+}
+
+/**
+ * displayDuplicateDirectories - Lists directory trees that are exact copies of each other
+ * Why it's needed: One line per copied folder is easier to act on than one set per file
+ * How it works: Prints each group with its size, file count and the directories in it
+ * @param {Array<object>} directoryGroups - Groups from findDuplicateDirectories
+ */
+function displayDuplicateDirectories(directoryGroups) {
+    if (directoryGroups.length === 0) {
+        return;
+    }
+    
+    directoryGroups.forEach((group, index) => {
+        console.log(chalk.green(`Duplicate Directory #${index + 1} - ${group.fileCount} files, ${formatSize(group.size)} each - Wasted: ${formatSize(group.wastedSpace)}`));
+        console.log(chalk.gray('─'.repeat(80)));
+        group.directories.forEach((directory, directoryIndex) => {
+            const prefix = directoryIndex === 0 ? chalk.green('✓ KEEP: ') : chalk.red('✗ COPY: ');
+            console.log(`${prefix}${directory.path}${path.sep}`);
+        });
+        console.log('\n');
+    });
+}
+
+/**
+ * displayOverlappingDirectories - Lists directories that share much of their content
+ * Why it's needed: Shows folders that started as copies and then drifted apart
+ * How it works: Prints each pair with the share of each directory's bytes found in the other
+ */
+export function displayOverlappingDirectories() {
+    try {
+        const pairs = findOverlappingDirectories();
+        
+        if (pairs.length === 0) {
+            log.info('No partially overlapping directories found.');
+            return;
+        }
+        
+        console.log('\n' + chalk.yellow('═'.repeat(80)));
+        console.log(chalk.yellow('PARTIALLY OVERLAPPING DIRECTORIES'));
+        console.log(chalk.yellow('═'.repeat(80)));
+        
+        pairs.forEach(pair => {
+            console.log(chalk.green(`${pair.sharedFiles} files (${formatSize(pair.sharedSize)}) in common`));
+            console.log(`  ${padRight(`${pair.first.percent}%`, 5)} of ${pair.first.path}${path.sep} is also in ${pair.second.path}${path.sep}`);
+            console.log(`  ${padRight(`${pair.second.percent}%`, 5)} of ${pair.second.path}${path.sep} is also in ${pair.first.path}${path.sep}`);
+        });
+        
+        console.log('');
+    } catch (error) {
+        log.error(`Error displaying overlapping directories: ${error.message}`);
+    }
+}
+
+/**
+ * displayIgnoredGroups - Lists the duplicate sets ignored in review
+ * Why it's needed: Clean and plan leave these sets alone, so they are shown apart from
+ * the sets they act on
+ * How it works: Prints each set's size and paths under a separate heading
+ * @param {Array<object>} ignoredGroups - Rows from getDuplicates whose hash is ignored
+ */
+function displayIgnoredGroups(ignoredGroups) {
+    if (ignoredGroups.length === 0) {
+        return;
+    }
+    
+    console.log(chalk.gray('IGNORED IN REVIEW (never removed by clean or plan)'));
+    console.log(chalk.gray('─'.repeat(80)));
+    
+    ignoredGroups.forEach(group => {
+        console.log(chalk.gray(`${group.copies} copies - ${formatSize(group.size)} each`));
+        getFilesByHash.all(group.hash).forEach(file => console.log(`  ${file.path}`));
+    });
+    console.log('');
+}
+
+/**
+ * displayLinkedGroups - Lists groups whose paths are all hardlinks to the same data
+ * Why it's needed: These look like duplicates but are already deduplicated
+ * How it works: Prints each group's paths under a separate heading
+ * @param {Array<object>} linkedGroups - Rows from getLinkedGroups
+ */
+function displayLinkedGroups(linkedGroups) {
+    if (linkedGroups.length === 0) {
+        return;
+    }
+    
+    console.log(chalk.blue('ALREADY DEDUPLICATED (hardlinks to the same data)'));
+    console.log(chalk.gray('─'.repeat(80)));
+    
+    linkedGroups.forEach(group => {
+        console.log(chalk.blue(`${group.count} links - ${formatSize(group.size)} stored once`));
+        getFilesByHash.all(group.hash).forEach(file => console.log(`  ⇔ ${file.path}`));
+    });
+    
+    console.log('');
+}
+
+/**
+ * displaySimilarImages - Lists groups of images that look alike
+ * Why it's needed: Near-duplicates differ in content, so they are only listed
+ * for review and never removed automatically
+ * How it works: Prints each group with every image's resolution and its
+ * distance from the largest image in the group
+ */
+function displaySimilarImages() {
+    if (!similarImages) {
+        return;
+    }
+    
+    const groups = findSimilarImages();
+    if (groups.length === 0) {
+        log.info('No similar images found.');
+        return;
+    }
+    
+    console.log(chalk.magenta('SIMILAR IMAGES (look alike, review before removing)'));
+    console.log(chalk.gray('─'.repeat(80)));
+    
+    groups.forEach((group, index) => {
+        console.log(chalk.magenta(`Similar Set #${index + 1} - ${group.count} images - up to ${group.maxDistance} bits apart`));
+        group.files.forEach((file, fileIndex) => {
+            const details = chalk.gray(`${file.width}x${file.height}, ${formatSize(file.size)}${fileIndex > 0 ? `, distance ${file.distance}` : ''}`);
+            console.log(`  ${fileIndex === 0 ? '★' : '≈'} ${file.path} ${details}`);
+        });
+    });
+    
+    console.log('');
+}
+
+// Diff lines shown per pair of similar text files before the rest is cut off
+const MAX_DIFF_LINES = 40;
+
+/**
+ * displaySimilarText - Lists groups of text files with mostly the same content
+ * Why it's needed: Copies of configs, CSVs and sources that differ by a line or
+ * two are only worth keeping once, but someone has to look at the difference first
+ * How it works: Prints each group with every file's estimated similarity, then
+ * a coloured unified diff of each file against the group's first file
+ */
+function displaySimilarText() {
+    if (!similarText) {
+        return;
+    }
+    
+    const groups = findSimilarText();
+    if (groups.length === 0) {
+        log.info('No similar text files found.');
+        return;
+    }
+    
+    console.log(chalk.magenta('SIMILAR TEXT FILES (mostly the same content, review before removing)'));
+    console.log(chalk.gray('─'.repeat(80)));
+    
+    groups.forEach((group, index) => {
+        console.log(chalk.magenta(`Similar Text Set #${index + 1} - ${group.count} files - at least ${Math.round(group.minSimilarity * 100)}% alike`));
+        group.files.forEach((file, fileIndex) => {
+            const details = chalk.gray(`${formatSize(file.size)}${fileIndex > 0 ? `, ${Math.round(file.similarity * 100)}% alike` : ''}`);
+            console.log(`  ${fileIndex === 0 ? '★' : '≈'} ${file.path} ${details}`);
+        });
+        
+        group.files.slice(1).forEach(file => {
+            let diff;
+            try {
+                diff = getTextDiff(group.files[0].id, file.id);
+            } catch (error) {
+                log.error(`  Cannot diff ${file.path}: ${error.message}`);
+                return;
+            }
+            
+            console.log('');
+            if (diff === '') {
+                console.log(chalk.gray(`    ${file.path} has identical lines`));
+                return;
+            }
+            
+            const lines = diff.trimEnd().split('\n');
+            lines.slice(0, MAX_DIFF_LINES).forEach(line => {
+                if (line.startsWith('@@')) console.log(chalk.cyan(`    ${line}`));
+                else if (line.startsWith('+')) console.log(chalk.green(`    ${line}`));
+                else if (line.startsWith('-')) console.log(chalk.red(`    ${line}`));
+                else console.log(`    ${line}`);
+            });
+            if (lines.length > MAX_DIFF_LINES) {
+                console.log(chalk.gray(`    ... ${lines.length - MAX_DIFF_LINES} more lines`));
+            }
+        });
+        console.log('');
+    });
+}
+
+/**
+ * displayErrors - Lists the paths the last scan could not read
+ * Why it's needed: Errors no longer stop the scan, so they need their own report
+ * How it works: Prints each recorded failure with its phase and error code
+ */
+export function displayErrors() {
+    try {
+        const errors = getErrors();
+        
+        if (errors.length === 0) {
+            log.info('No scan errors recorded.');
+            return;
+        }
+        
+        console.log('\n' + chalk.red('═'.repeat(80)));
+        console.log(chalk.red(`SCAN ERRORS (${errors.length})`));
+        console.log(chalk.red('═'.repeat(80)));
+        
+        errors.forEach(error => {
+            console.log(`${chalk.yellow(padRight(error.phase, 13))}${chalk.red(padRight(error.code || 'ERROR', 10))}${error.path}`);
+            if (!error.code) console.log(chalk.gray(`             ${error.message}`));
+        });
+        
+        console.log('');
+    } catch (error) {
+        log.error(`Error displaying scan errors: ${error.message}`);
+    }
+}
+
+/**
+ * displayEmptyFiles - Lists the zero-byte files kept out of duplicate detection
+ * Why it's needed: Empty files all share one hash, so they get their own report
+ * instead of one giant duplicate set
+ * How it works: Prints each empty file's path relative to the parent of its root
+ */
+export function displayEmptyFiles() {
+    try {
+        const files = getEmptyFiles.all();
+        
+        if (files.length === 0) {
+            log.info('No empty files found.');
+            return;
+        }
+        
+        console.log('\n' + chalk.gray('═'.repeat(80)));
+        console.log(chalk.gray(`EMPTY FILES (${files.length})`));
+        console.log(chalk.gray('═'.repeat(80)));
+        
+        files.forEach(file => console.log(`  ${file.path}`));
+        
+        console.log('');
+    } catch (error) {
+        log.error(`Error displaying empty files: ${error.message}`);
+    }
+}
@@ -0,0 +1,216 @@
+/**
+ * Directory Sets Module
+ * Purpose: Finds directories that are copies of each other, fully or in part
+ * Why it's needed: A copied project folder should be reported as one folder,
+ * not as thousands of separate duplicate file sets
+ * How it works: Gives every directory a Merkle hash built from its children's
+ * names and content hashes, so identical trees get identical hashes
+ */
+
+import path from 'path';
+import crypto from 'crypto';
+import { getFileContents, FILE_STAGES } from '../database/files.js';
+import { replaceDirectories, getDuplicateDirectoryGroups, getDirectoriesByHash, getDirectories } from '../database/directories.js';
+
+// Content key of zero-byte files, which are never hashed
+const EMPTY_CONTENT = 'empty';
+
+// Smallest share of a directory's bytes found in another directory for the overlap view
+const MIN_OVERLAP_PERCENT = 50;
+
+// Largest number of directory pairs in the overlap view
+const MAX_OVERLAP_PAIRS = 50;
+
+/**
+ * directoryKey - Identifies a directory across roots
+ * @param {string} root - Absolute root path
+ * @param {string} dirPath - Directory path relative to the root's parent
+ * @return {string} - Key unique to the directory
+ */
+function directoryKey(root, dirPath) {
+    return `${root}\0${dirPath}`;
+}
+
+/**
+ * computeDirectoryHashes - Rebuilds the hash of every indexed directory
+ * Why it's needed: Directory hashes depend on every file below them, so they
+ * are recomputed once the scan has hashed all candidates
+ * How it works:
+ * 1. Files with a full hash contribute it, empty files a fixed key; any other
+ *    file has a unique size or partial hash, so its directory can't be a copy
+ *    and gets no hash, and neither do its ancestors
+ * 2. Directories are hashed deepest first from the sorted list of their files'
+ *    and subdirectories' names and hashes
+ * @param {string} algorithm - Hash algorithm for the directory hashes
+ * @return {number} - Number of directories stored
+ */
+export function computeDirectoryHashes(algorithm) {
+    const directories = new Map();
+
+    const getDirectory = (root, dirPath) => {
+        const key = directoryKey(root, dirPath);
+        if (!directories.has(key)) {
+            const rootPath = path.basename(root);
+            const parent = dirPath === rootPath || path.dirname(dirPath) === dirPath ? null : path.dirname(dirPath);
+            const directory = { root, path: dirPath, parent, entries: [], children: [], size: 0, fileCount: 0, unique: false };
+            directories.set(key, directory);
+            if (parent !== null) getDirectory(root, parent).children.push(directory);
+        }
+        return directories.get(key);
+    };
+
+    for (const file of getFileContents.iterate()) {
+        const directory = getDirectory(file.root, path.dirname(file.path));
+        let content = null;
+        if (file.stage === FILE_STAGES.FULL) content = file.hash;
+        if (file.stage === FILE_STAGES.EMPTY) content = EMPTY_CONTENT;
+
+        if (content === null) directory.unique = true;
+        directory.entries.push(`f\t${path.basename(file.path)}\t${content}`);
+        directory.size += file.size;
+        directory.fileCount++;
+    }
+
+    // Children before parents
+    const ordered = [...directories.values()].sort((a, b) => b.path.split(path.sep).length - a.path.split(path.sep).length);
+    for (const directory of ordered) {
+        for (const child of directory.children) {
+            if (child.hash === null) directory.unique = true;
+            directory.entries.push(`d\t${path.basename(child.path)}\t${child.hash}`);
+            directory.size += child.size;
+            directory.fileCount += child.fileCount;
+        }
+        directory.hash = directory.unique
+            ? null
+            : crypto.createHash(algorithm).update(directory.entries.sort().join('\n')).digest('hex');
+    }
+
+    replaceDirectories(ordered.map(({ root, path: dirPath, parent, hash, size, fileCount }) => ({
+        root, path: dirPath, parent, hash, size, fileCount
+    })));
+    return ordered.length;
+}
+
+/**
+ * findDuplicateDirectories - Lists groups of identical directory trees
+ * Why it's needed: Only the outermost copies are interesting; their identical
+ * subdirectories are implied
+ * How it works: Skips a group when each of its directories has its own parent
+ * and all those parents are identical too, because the parents' group covers it
+ * @return {Array<object>} - Groups with type 'directory', hash, size, fileCount, count, wastedSpace and directories
+ */
+export function findDuplicateDirectories() {
+    const hashes = new Map(getDirectories().map(directory => [directoryKey(directory.root, directory.path), directory.hash]));
+
+    return getDuplicateDirectoryGroups()
+        .map(group => ({ ...group, directories: getDirectoriesByHash(group.hash) }))
+        .filter(group => {
+            const parents = group.directories.map(directory =>
+                directory.parent === null ? null : directoryKey(directory.root, directory.parent));
+            if (parents.includes(null) || new Set(parents).size < parents.length) return true;
+
+            const parentHashes = new Set(parents.map(parent => hashes.get(parent)));
+            return parentHashes.size > 1 || parentHashes.has(null);
+        })
+        .map(group => ({
+            type: 'directory',
+            hash: group.hash,
+            size: group.size,
+            fileCount: group.fileCount,
+            count: group.count,
+            wastedSpace: group.size * (group.count - 1),
+            directories: group.directories.map(({ root, path: dirPath }) => ({ root, path: dirPath }))
+        }));
+}
+
+/**
+ * createDirectoryCoverage - Tells whether a file lies inside a duplicate directory
+ * Why it's needed: File sets inside reported directory copies are collapsed
+ * into the directory entry
+ * @param {Array<object>} groups - Groups from findDuplicateDirectories
+ * @return {function} - Called with a file record (path and root), returns true if it is covered
+ */
+export function createDirectoryCoverage(groups) {
+    const covered = new Set(groups.flatMap(group =>
+        group.directories.map(directory => directoryKey(directory.root, directory.path))));
+
+    return (file) => {
+        let dirPath = path.dirname(file.path);
+        for (;;) {
+            if (covered.has(directoryKey(file.root, dirPath))) return true;
+            const parent = path.dirname(dirPath);
+            if (parent === dirPath) return false;
+            dirPath = parent;
+        }
+    };
+}
+
+/**
+ * findOverlappingDirectories - Lists pairs of directories that share much of their content
+ * Why it's needed: A copied folder that was later edited is no longer identical,
+ * but most of it may still be duplicated
+ * How it works:
+ * 1. Totals the bytes of the files directly inside each directory
+ * 2. For every hashed content found in several directories, credits its size
+ *    to each pair of those directories
+ * 3. Keeps pairs where at least MIN_OVERLAP_PERCENT of either directory's bytes
+ *    are in the other, leaving out pairs of identical directories and repeats
+ *    of a pair through identical copies of one of its directories
+ * @return {Array<object>} - Pairs with first, second, sharedSize, sharedFiles and the percentage of each directory
+ */
+export function findOverlappingDirectories() {
+    const totals = new Map();
+    const contents = new Map();
+
+    for (const file of getFileContents.iterate()) {
+        if (file.size === 0) continue;
+        const key = directoryKey(file.root, path.dirname(file.path));
+        totals.set(key, (totals.get(key) || 0) + file.size);
+
+        if (file.stage !== FILE_STAGES.FULL) continue;
+        if (!contents.has(file.hash)) contents.set(file.hash, { size: file.size, directories: new Set() });
+        contents.get(file.hash).directories.add(key);
+    }
+
+    const pairs = new Map();
+    for (const { size, directories } of contents.values()) {
+        const keys = [...directories].sort();
+        for (let i = 0; i < keys.length; i++) {
+            for (let j = i + 1; j < keys.length; j++) {
+                const pairKey = `${keys[i]}\n${keys[j]}`;
+                const pair = pairs.get(pairKey) || { first: keys[i], second: keys[j], sharedSize: 0, sharedFiles: 0 };
+                pair.sharedSize += size;
+                pair.sharedFiles++;
+                pairs.set(pairKey, pair);
+            }
+        }
+    }
+
+    const hashes = new Map(getDirectories().map(directory => [directoryKey(directory.root, directory.path), directory.hash]));
+    const describe = (key) => {
+        const [root, dirPath] = key.split('\0');
+        return { root, path: dirPath };
+    };
+
+    // Identical directories would repeat the same pair, so each is listed once
+    const identity = (key) => hashes.get(key) || key;
+    const listed = new Set();
+
+    return [...pairs.values()]
+        .filter(pair => identity(pair.first) !== identity(pair.second))
+        .filter(pair => {
+            const pairIdentity = [identity(pair.first), identity(pair.second)].sort().join('\n');
+            if (listed.has(pairIdentity)) return false;
+            listed.add(pairIdentity);
+            return true;
+        })
+        .map(pair => ({
+            first: { ...describe(pair.first), percent: Math.round(pair.sharedSize / totals.get(pair.first) * 100) },
+            second: { ...describe(pair.second), percent: Math.round(pair.sharedSize / totals.get(pair.second) * 100) },
+            sharedSize: pair.sharedSize,
+            sharedFiles: pair.sharedFiles
+        }))
+        .filter(pair => Math.max(pair.first.percent, pair.second.percent) >= MIN_OVERLAP_PERCENT)
+        .sort((a, b) => b.sharedSize - a.sharedSize)
+        .slice(0, MAX_OVERLAP_PAIRS);
+}
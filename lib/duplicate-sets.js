@@ -0,0 +1,114 @@
+/**
+ * Duplicate Sets Module
+ * Purpose: Decides which file of a duplicate set is kept and which can be removed
+ * Why it's needed: The console report, auto-remove and the web API must agree
+ * How it works: Picks an original with the keep rules and splits the other
+ * files into removable copies and hardlinks that already share the original's storage
+ */
+
+import path from 'path';
+import { resolveFilePath } from '../database/files.js';
+import { removeFromRoots } from './vars.js';
+import { chooseOriginal, isProtectedPath } from './keep-rules.js';
+
+/**
+ * physicalKey - Identifies the storage behind a file record
+ * Why it's needed: Hardlinks are separate paths to the same data
+ * How it works: Combines device and inode; records without them are treated as unique
+ * @param {object} file - File record with path, device and inode
+ * @return {string} - A key shared only by paths to the same data
+ */
+export function physicalKey(file) {
+    if (file.device === null || file.device === undefined || file.inode === null || file.inode === undefined) {
+        return `path:${file.path}`;
+    }
+    return `${file.device}:${file.inode}`;
+}
+
+/**
+ * isArchived - Checks whether a file record is a member of an archive
+ * Why it's needed: Archive members (--archives) are report-only; they can't be
+ * moved or replaced without rewriting the archive
+ * @param {object} file - File record with an archive column
+ * @return {boolean} - True if the file was read from inside an archive
+ */
+export function isArchived(file) {
+    return file.archive !== null && file.archive !== undefined;
+}
+
+/**
+ * isInRemovableRoot - Checks whether a file lies in a root that allows removal
+ * Why it's needed: --remove-from treats every other root as read-only
+ * How it works: Compares the file's absolute path against each allowed folder
+ * @param {object} file - File record with path and root
+ * @return {boolean} - True if the file's root allows removal
+ */
+function isInRemovableRoot(file) {
+    if (!removeFromRoots) return true;
+
+    const fullPath = resolveFilePath(file);
+    return removeFromRoots.some(root => fullPath === root || fullPath.startsWith(root + path.sep));
+}
+
+/**
+ * isRemovable - Checks whether a file may be moved or replaced
+ * Why it's needed: Files in read-only roots and in directories protected by
+ * a 'protect' keep rule must never be touched
+ * @param {object} file - File record with path and root
+ * @return {boolean} - True if the file may be moved or replaced
+ */
+export function isRemovable(file) {
+    return isInRemovableRoot(file) && !isProtectedPath(file);
+}
+
+// A copy in a read-only root stays anyway, so keeping it lets every removable copy go
+const READ_ONLY_STEP = {
+    label: 'read-only root',
+    select: files => files.filter(file => !isInRemovableRoot(file))
+};
+
+/**
+ * planDuplicateSet - Splits a duplicate set into the file to keep and the files to remove
+ * Why it's needed: Moving a hardlink of the kept file frees no space, and
+ * files in read-only roots must never be moved
+ * How it works:
+ * 1. Sets archive members aside; they are listed but never kept or removed
+ * 2. Chooses the original file: the one picked in review if given, otherwise copies in
+ *    read-only roots first, then the --keep rules in order, then the shortest path
+ * 3. Separates hardlinks of the original and protected or read-only files from real copies
+ * 4. Counts each removed physical copy once towards the space freed
+ * @param {Array<object>} files - File records with path, size, mtime, device, inode, root and archive
+ * @param {object} [chosen] - File to keep instead of the one the rules choose
+ * @return {object} - Object with original, rule (what decided the original), removable,
+ * linked, protected, archived and spaceFreed
+ */
+export function planDuplicateSet(files, chosen = null) {
+    // A loose file next to archived copies is the only copy on disk, so it is kept
+    const archived = files.filter(isArchived);
+    const looseFiles = files.filter(file => !isArchived(file));
+    const candidates = looseFiles.length > 0 ? looseFiles : files;
+
+    const { original, rule } = chosen
+        ? { original: chosen, rule: 'picked in review' }
+        : chooseOriginal(candidates, [READ_ONLY_STEP]);
+    const originalKey = physicalKey(original);
+
+    const others = looseFiles.filter(file => file !== original);
+    const linked = others.filter(file => physicalKey(file) === originalKey);
+    const protectedFiles = others.filter(file => physicalKey(file) !== originalKey && !isRemovable(file));
+    const removable = others.filter(file => physicalKey(file) !== originalKey && isRemovable(file));
+
+    const freedKeys = new Map();
+    removable.forEach(file => freedKeys.set(physicalKey(file), file.size));
+    const spaceFreed = [...freedKeys.values()].reduce((total, size) => total + size, 0);
+
+    return {
+        original,
+        rule,
+        removable,
+        linked,
+        protected: protectedFiles,
+        archived: archived.filter(file => file !== original),
+        spaceFreed
+    };
+}
@@ -0,0 +1,217 @@
+/**
+ * Path Filter Module
+ * Purpose: Decides which files and directories the scanner walks into
+ * Why it's needed: Keeps dependency folders, VCS data and the tool's own output out of the index
+ * How it works: Combines --include/--exclude globs with gitignore-style .dedupeignore files,
+ * and limits files by size and extension
+ */
+
+import fs from 'fs';
+import path from 'path';
+import ignore from 'ignore';
+import { CONFIG_FILES } from './config.js';
+
+// Name of the per-directory ignore file
+export const IGNORE_FILE_NAME = '.dedupeignore';
+
+// Paths that are never indexed: the quarantine folder, database files, ignore files and config files
+const ALWAYS_EXCLUDED = ['@duplicates/', '*.dedupe', IGNORE_FILE_NAME, ...CONFIG_FILES];
+
+// Paths excluded unless re-included with a negated pattern such as '!node_modules/'
+export const DEFAULT_EXCLUDES = ['.git/', 'node_modules/'];
+
+// Multipliers for the unit suffixes accepted by --min-size and --max-size
+const SIZE_UNITS = { '': 1, b: 1, k: 1024, kb: 1024, m: 1024 ** 2, mb: 1024 ** 2, g: 1024 ** 3, gb: 1024 ** 3, t: 1024 ** 4, tb: 1024 ** 4 };
+
+/**
+ * parseSize - Converts a size such as '500', '10K' or '1.5GB' to bytes
+ * Why it's needed: Lets --min-size and --max-size be given in readable units
+ * How it works: Splits the number from its unit suffix and multiplies by 1024 per step
+ * @param {string} value - The size as typed on the command line
+ * @return {number} - Size in bytes, or NaN if the value isn't a size
+ */
+export function parseSize(value) {
+    const match = /^\s*(\d+(?:\.\d+)?)\s*([a-z]*)\s*$/i.exec(value);
+    if (!match || !(match[2].toLowerCase() in SIZE_UNITS)) return NaN;
+    return Math.floor(parseFloat(match[1]) * SIZE_UNITS[match[2].toLowerCase()]);
+}
+
+/**
+ * toPosix - Converts a relative path to the forward-slash form the ignore rules expect
+ * @param {string} relativePath - A path relative to a rules directory
+ * @return {string} - The same path with '/' separators
+ */
+function toPosix(relativePath) {
+    return relativePath.split(path.sep).join('/');
+}
+
+/**
+ * PathFilter Class
+ * Purpose: Shared filter for every directory walker
+ * Why it's needed: Counting and processing must agree on which files exist
+ * How it works:
+ * 1. Applies the built-in, default and --exclude rules relative to the scan root
+ * 2. Applies each directory's .dedupeignore to the paths below it, with deeper
+ *    files able to override higher ones like .gitignore
+ * 3. Requires files (not directories) to match an --include glob when any are given
+ * 4. Limits files to the --ext extensions, minus the --exclude-ext ones, and
+ *    to sizes between --min-size and --max-size
+ */
+export class PathFilter {
+    /**
+     * Constructor - Compiles the command line rules
+     * @param {string} rootDir - The directory being scanned
+     * @param {object} rules - Object with include and exclude glob arrays, minSize and
+     * maxSize in bytes (maxSize null for no limit) and extensions and excludeExtensions arrays
+     */
+    constructor(rootDir, { include = [], exclude = [], minSize = 0, maxSize = null, extensions = [], excludeExtensions = [] } = {}) {
+        this.rootDir = rootDir;
+        this.include = include;
+        this.exclude = exclude;
+        this.minSize = minSize;
+        this.maxSize = maxSize;
+        this.extensions = extensions;
+        this.excludeExtensions = excludeExtensions;
+        this.rootRules = ignore().add([...ALWAYS_EXCLUDED, ...DEFAULT_EXCLUDES, ...exclude]);
+        this.includeRules = include.length > 0 ? ignore().add(include) : null;
+        this.directoryRules = new Map(); // Directory path -> compiled .dedupeignore or null
+        this.directoryResults = new Map(); // Directory path -> whether it is walked
+    }
+
+    /**
+     * getDirectoryRules - Loads and caches a directory's .dedupeignore
+     * @param {string} dir - Absolute directory path
+     * @return {object|null} - Compiled rules, or null if the directory has no ignore file
+     */
+    getDirectoryRules(dir) {
+        if (!this.directoryRules.has(dir)) {
+            let rules = null;
+            try {
+                rules = ignore().add(fs.readFileSync(path.join(dir, IGNORE_FILE_NAME), 'utf8'));
+            } catch (error) {
+                // No ignore file in this directory
+            }
+            this.directoryRules.set(dir, rules);
+        }
+        return this.directoryRules.get(dir);
+    }
+
+    /**
+     * isExcluded - Applies the exclude rules to a single entry
+     * Why it's needed: Walkers only need to check the entry itself, because
+     * excluded parent directories are never entered
+     * How it works: Tests the root rules, then every .dedupeignore from the root
+     * down to the entry's parent; the last rule that matches wins
+     * @param {string} fullPath - Absolute path of the entry
+     * @param {boolean} isDirectory - Whether the entry is a directory
+     * @return {boolean} - True if the entry should be skipped
+     */
+    isExcluded(fullPath, isDirectory) {
+        const suffix = isDirectory ? '/' : '';
+        const relativePath = path.relative(this.rootDir, fullPath);
+        if (!relativePath || relativePath === '..' || relativePath.startsWith('..' + path.sep)) return false;
+
+        let excluded = false;
+        const apply = (rules, rulesDir) => {
+            const result = rules.test(toPosix(path.relative(rulesDir, fullPath)) + suffix);
+            if (result.ignored) excluded = true;
+            if (result.unignored) excluded = false;
+        };
+
+        apply(this.rootRules, this.rootDir);
+
+        const parts = relativePath.split(path.sep);
+        let dir = this.rootDir;
+        for (let i = 0; i < parts.length; i++) {
+            const rules = this.getDirectoryRules(dir);
+            if (rules) apply(rules, dir);
+            dir = path.join(dir, parts[i]);
+        }
+
+        return excluded;
+    }
+
+    /**
+     * accepts - Decides whether a walker should visit an entry
+     * @param {string} fullPath - Absolute path of the entry
+     * @param {boolean} isDirectory - Whether the entry is a directory
+     * @return {boolean} - True if the entry should be walked or indexed
+     */
+    accepts(fullPath, isDirectory) {
+        if (this.isExcluded(fullPath, isDirectory)) return false;
+
+        // Include globs select files; directories are always walked so nested matches are found
+        if (isDirectory) return true;
+        if (!this.acceptsExtension(fullPath)) return false;
+        if (this.includeRules) {
+            return this.includeRules.ignores(toPosix(path.relative(this.rootDir, fullPath)));
+        }
+        return true;
+    }
+
+    /**
+     * acceptsExtension - Applies --ext and --exclude-ext to a file name
+     * Why it's needed: Compound extensions such as 'tar.gz' must match as a whole
+     * How it works: Compares the end of the lower-cased file name with each extension
+     * @param {string} fullPath - Absolute path of the file
+     * @return {boolean} - True if the file's extension is wanted
+     */
+    acceptsExtension(fullPath) {
+        const name = path.basename(fullPath).toLowerCase();
+        const hasExtension = (extension) => name.endsWith(`.${extension}`);
+
+        if (this.excludeExtensions.some(hasExtension)) return false;
+        return this.extensions.length === 0 || this.extensions.some(hasExtension);
+    }
+
+    /**
+     * acceptsSize - Applies --min-size and --max-size to a file
+     * @param {number} size - File size in bytes
+     * @return {boolean} - True if the size is within the limits
+     */
+    acceptsSize(size) {
+        return size >= this.minSize && (this.maxSize === null || size <= this.maxSize);
+    }
+
+    /**
+     * acceptsPath - Decides whether an already indexed file is still covered by the rules
+     * Why it's needed: Files indexed under older rules must leave the index
+     * How it works: Checks every ancestor directory, then the file itself
+     * @param {string} fullPath - Absolute path of the file
+     * @return {boolean} - True if the file would be indexed by a walk
+     */
+    acceptsPath(fullPath) {
+        const dir = path.dirname(fullPath);
+        if (dir !== this.rootDir && !this.acceptsDirectory(dir)) return false;
+        return this.accepts(fullPath, false);
+    }
+
+    /**
+     * acceptsDirectory - Cached check of a directory and all of its ancestors
+     * @param {string} dir - Absolute directory path below the root
+     * @return {boolean} - True if a walk would enter the directory
+     */
+    acceptsDirectory(dir) {
+        if (!this.directoryResults.has(dir)) {
+            const parent = path.dirname(dir);
+            const parentAccepted = parent === this.rootDir || parent === dir || this.acceptsDirectory(parent);
+            this.directoryResults.set(dir, parentAccepted && this.accepts(dir, true));
+        }
+        return this.directoryResults.get(dir);
+    }
+
+    /**
+     * toJSON - The rules worth recording in scan metadata
+     * @return {object} - Object with the glob, size and extension rules
+     */
+    toJSON() {
+        return {
+            include: this.include,
+            exclude: this.exclude,
+            minSize: this.minSize,
+            maxSize: this.maxSize,
+            extensions: this.extensions,
+            excludeExtensions: this.excludeExtensions
+        };
+    }
+}
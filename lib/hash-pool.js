@@ -0,0 +1,128 @@
+import { Worker } from 'worker_threads';
+import { debugMode, log } from './vars.js';
+
+const WORKER_URL = new URL('./hash-worker.js', import.meta.url);
+
+/**
+ * HashPool Class
+ * Purpose: Runs hashing tasks on a fixed number of worker threads
+ * Why it's needed: Hashing one file at a time leaves CPU cores and disk queues idle
+ * How it works: Queues tasks and hands each one to the next idle worker
+ */
+export class HashPool {
+    /**
+     * Constructor - Starts the worker threads
+     * Why it's needed: Workers are reused for every task to avoid startup cost
+     * How it works: Creates `size` workers and marks them all idle
+     * @param {number} size - Number of worker threads
+     */
+    constructor(size) {
+        this.size = Math.max(1, size); // Number of worker threads
+        this.workers = [];             // All live workers
+        this.idle = [];                // Workers waiting for a task
+        this.queue = [];               // Tasks waiting for a worker
+
+        for (let i = 0; i < this.size; i++) {
+            this.addWorker();
+        }
+
+        if (debugMode) {
+            log.debug(`Hash pool started with ${this.size} workers`);
+        }
+    }
+
+    /**
+     * addWorker - Creates a worker and wires up its events
+     * Why it's needed: Used at startup and to replace a worker that crashed
+     * How it works: Resolves or rejects the worker's current task when it replies
+     */
+    addWorker() {
+        const worker = new Worker(WORKER_URL);
+        worker.current = null;
+
+        worker.on('message', ({ result, error }) => {
+            const job = worker.current;
+            worker.current = null;
+            this.idle.push(worker);
+
+            if (error) {
+                job.reject(Object.assign(new Error(error.message), { code: error.code }));
+            } else {
+                job.resolve(result);
+            }
+            this.dispatch();
+        });
+
+        worker.on('error', (error) => {
+            if (debugMode) log.debug(`Hash worker crashed: ${error.message}`);
+            this.replaceWorker(worker, error);
+        });
+
+        // A worker can also die without an 'error', e.g. when a native module aborts it
+        worker.on('exit', (code) => {
+            this.replaceWorker(worker, new Error(`Hash worker exited with code ${code}`));
+        });
+
+        this.workers.push(worker);
+        this.idle.push(worker);
+    }
+
+    /**
+     * replaceWorker - Drops a dead worker and starts another in its place
+     * Why it's needed: A dead worker left in the pool would never settle its task or
+     * take a new one
+     * How it works: Does nothing for a worker already dropped, so the 'exit' that
+     * follows an 'error' and the exits caused by close() are ignored; otherwise rejects
+     * the worker's task and starts a replacement
+     * @param {Worker} worker - The worker that crashed or exited
+     * @param {Error} error - Why the worker's task failed
+     */
+    replaceWorker(worker, error) {
+        if (!this.workers.includes(worker)) return;
+        this.workers = this.workers.filter(w => w !== worker);
+        this.idle = this.idle.filter(w => w !== worker);
+
+        const job = worker.current;
+        worker.current = null;
+        if (job) job.reject(error);
+
+        this.addWorker();
+        this.dispatch();
+    }
+
+    /**
+     * run - Queues a hashing task
+     * @param {object} task - Object with type ('partial' or 'full'), path, size and algorithm
+     * @return {Promise<object>} - Resolves to the worker's result
+     */
+    run(task) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ task, resolve, reject });
+            this.dispatch();
+        });
+    }
+
+    /**
+     * dispatch - Hands queued tasks to idle workers
+     */
+    dispatch() {
+        while (this.idle.length > 0 && this.queue.length > 0) {
+            const worker = this.idle.pop();
+            const job = this.queue.shift();
+            worker.current = job;
+            worker.postMessage(job.task);
+        }
+    }
+
+    /**
+     * close - Stops all worker threads
+     * Why it's needed: Live workers keep the process from exiting
+     * @return {Promise} - Resolves once every worker has exited
+     */
+    async close() {
+        const workers = this.workers;
+        this.workers = [];
+        this.idle = [];
+        await Promise.all(workers.map(worker => worker.terminate()));
+    }
+}
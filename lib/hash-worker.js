@@ -0,0 +1,42 @@
+/**
+ * Hash Worker
+ * Purpose: Hashes files, images, text and archive members on a worker thread for the HashPool
+ * Why it's needed: Lets several files be read and hashed at the same time
+ * How it works: Receives one task per message and posts back the result or error
+ */
+
+import { parentPort } from 'worker_threads';
+import { hashFile, hashFilePartial } from './hasher.js';
+import { hashImage } from './image-hash.js';
+import { hashText } from './text-hash.js';
+import { readArchive } from './archive-reader.js';
+
+/**
+ * runTask - Runs one hashing task
+ * @param {object} task - Object with type ('partial', 'full', 'image', 'text' or 'archive'), path, size and algorithm
+ * @return {Promise<object>} - The task's result
+ */
+async function runTask(task) {
+    switch (task.type) {
+        case 'partial':
+            return hashFilePartial(task.path, task.size, task.algorithm);
+        case 'image':
+            return hashImage(task.path);
+        case 'text':
+            return hashText(task.path);
+        case 'archive':
+            return readArchive(task.path, task.algorithm);
+        default:
+            return { hash: await hashFile(task.path, task.algorithm) };
+    }
+}
+
+parentPort.on('message', async (task) => {
+    try {
+        const result = await runTask(task);
+        parentPort.postMessage({ result });
+    } catch (error) {
+        // Errors can't be cloned with their code, so send the fields we need
+        parentPort.postMessage({ error: { message: error.message, code: error.code } });
+    }
+});
@@ -0,0 +1,144 @@
+/**
+ * Hasher Module
+ * Purpose: Computes content hashes of files
+ * Why it's needed: Shared by the main thread and the hashing worker threads
+ * How it works: Streams or partially reads files into Node's crypto hashes
+ *
+ * This module must not import the database or vars.js, since worker threads
+ * load it and would otherwise open their own database connection.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Number of bytes read from each end of a file for the partial hash
+export const PARTIAL_BLOCK_SIZE = 64 * 1024;
+
+// Algorithm used for new databases when --algorithm isn't given
+export const DEFAULT_ALGORITHM = 'sha256';
+
+// Algorithm used by databases created before the choice was recorded
+export const LEGACY_ALGORITHM = 'md5';
+
+/**
+ * isSupportedAlgorithm - Checks whether Node's crypto offers a hash algorithm
+ * @param {string} algorithm - Algorithm name such as 'sha256' or 'blake2b512'
+ * @return {boolean} - True if crypto.createHash accepts the name
+ */
+export function isSupportedAlgorithm(algorithm) {
+    return crypto.getHashes().includes(algorithm);
+}
+
+/**
+ * hashFile - Calculates the content hash of a file
+ * Why it's needed: Used to identify duplicate files with identical content
+ * How it works: Reads the file in chunks and updates a hash object
+ * @param {string} filePath - Path to the file to hash
+ * @param {string} [algorithm] - Hash algorithm name
+ * @return {Promise<string>} - Promise resolving to the file's hex digest
+ */
+export function hashFile(filePath, algorithm = DEFAULT_ALGORITHM) {
+    // Don't log each file hash calculation
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash(algorithm);
+        const fileName = path.basename(filePath);
+        let bytesRead = 0;
+
+        const stream = fs.createReadStream(filePath);
+
+        stream.on("data", (chunk) => {
+            bytesRead += chunk.length;
+            hash.update(chunk);
+        });
+
+        stream.on("end", () => {
+            const hashResult = hash.digest("hex");
+            // Don't log each completed hash
+            resolve(hashResult);
+        });
+
+        stream.on("error", (err) => {
+            // The caller logs the error; this module can't import vars.js
+            reject(err);
+        });
+    });
+}
+
+/**
+ * hashFilePartial - Hashes only the first and last blocks of a file
+ * Why it's needed: Cheaply rules out most same-size files before a full read
+ * How it works:
+ * 1. Reads up to PARTIAL_BLOCK_SIZE bytes from the start of the file
+ * 2. Reads up to PARTIAL_BLOCK_SIZE bytes from the end without overlapping the start
+ * 3. Reports whether those reads covered the whole file, in which case the
+ *    partial hash is identical to the full content hash
+ * @param {string} filePath - Path to the file to hash
+ * @param {number} size - File size in bytes as stored in the database
+ * @param {string} [algorithm] - Hash algorithm name
+ * @return {Promise<object>} - Object with the hex digest and a complete flag
+ */
+export async function hashFilePartial(filePath, size, algorithm = DEFAULT_ALGORITHM) {
+    const hash = crypto.createHash(algorithm);
+    const handle = await fs.promises.open(filePath, 'r');
+
+    try {
+        const headLength = Math.min(size, PARTIAL_BLOCK_SIZE);
+        const tailLength = Math.min(size - headLength, PARTIAL_BLOCK_SIZE);
+
+        const head = Buffer.alloc(headLength);
+        const headRead = await handle.read(head, 0, headLength, 0);
+        hash.update(head.subarray(0, headRead.bytesRead));
+
+        if (tailLength > 0) {
+            const tail = Buffer.alloc(tailLength);
+            const tailRead = await handle.read(tail, 0, tailLength, size - tailLength);
+            hash.update(tail.subarray(0, tailRead.bytesRead));
+        }
+
+        return {
+            hash: hash.digest('hex'),
+            complete: headLength + tailLength >= size
+        };
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * createStreamHasher - Hashes content that can only be read once, front to back
+ * Why it's needed: Archive entries are decompressed as a stream, so they can't
+ * be reread for the partial hash the way files on disk are
+ * How it works: Feeds every chunk to the full hash, keeps the first
+ * PARTIAL_BLOCK_SIZE bytes and a window of the last PARTIAL_BLOCK_SIZE bytes, and
+ * hashes those like hashFilePartial does, so the digests match a loose copy's
+ * @param {string} [algorithm] - Hash algorithm name
+ * @return {object} - Object with update(chunk) and digest(), which returns size, hash and partialHash
+ */
+export function createStreamHasher(algorithm = DEFAULT_ALGORITHM) {
+    const full = crypto.createHash(algorithm);
+    let head = Buffer.alloc(0);
+    let tail = Buffer.alloc(0);
+    let size = 0;
+
+    return {
+        update(chunk) {
+            full.update(chunk);
+            size += chunk.length;
+
+            if (head.length < PARTIAL_BLOCK_SIZE) {
+                const headBytes = Math.min(PARTIAL_BLOCK_SIZE - head.length, chunk.length);
+                head = Buffer.concat([head, chunk.subarray(0, headBytes)]);
+                chunk = chunk.subarray(headBytes);
+            }
+            if (chunk.length > 0) {
+                tail = Buffer.concat([tail, chunk]);
+                if (tail.length > PARTIAL_BLOCK_SIZE) tail = tail.subarray(tail.length - PARTIAL_BLOCK_SIZE);
+            }
+        },
+        digest() {
+            const partial = crypto.createHash(algorithm).update(head).update(tail);
+            return { size, hash: full.digest('hex'), partialHash: partial.digest('hex') };
+        }
+    };
+}
@@ -0,0 +1,204 @@
+/**
+ * Help Module
+ * Purpose: Describes the commands and options of the CLI
+ * Why it's needed: '-h' was aliased to --help but printed nothing, and each command
+ * takes a different subset of the options
+ * How it works: Every option is described once in OPTIONS; each command lists the
+ * options it reads. 'dedupe --help' prints the overview, 'dedupe <command> --help'
+ * or 'dedupe help <command>' the text of one command.
+ */
+
+import chalk from 'chalk';
+
+/**
+ * OPTIONS - Flag and description of every option, keyed by its long name
+ */
+const OPTIONS = {
+    target: ['-t, --target <dir>', 'Directory to index; repeat for several roots (default: current directory)'],
+    force: ['-f, --force', 'Delete the index and scan from scratch'],
+    debug: ['-d, --debug', 'Print debug output'],
+    jobs: ['-j, --jobs <n>', 'Number of hashing threads (default: number of CPUs)'],
+    algorithm: ['--algorithm <name>', "Hash algorithm such as sha256; changing it rehashes the index"],
+    include: ['--include <glob>', "Only index matching paths; repeatable ('--include=' clears the saved globs)"],
+    exclude: ['--exclude <glob>', "Skip matching paths; repeatable ('--exclude=' clears the saved globs)"],
+    ext: ['--ext <list>', "Only index these extensions, e.g. jpg,png ('--ext=' clears the saved list)"],
+    'exclude-ext': ['--exclude-ext <list>', "Skip these extensions ('--exclude-ext=' clears the saved list)"],
+    'min-size': ['--min-size <size>', "Skip smaller files, e.g. 10K ('--min-size=' removes the limit)"],
+    'max-size': ['--max-size <size>', "Skip larger files, e.g. 2G ('--max-size=' removes the limit)"],
+    'include-empty': ['--include-empty', 'Compare zero-byte files as well'],
+    'follow-symlinks': ['--follow-symlinks', 'Follow symbolic links while scanning'],
+    archives: ['--archives', 'Index the members of zip and tar archives'],
+    'similar-images': ['--similar-images', 'Group visually similar images'],
+    'similar-threshold': ['--similar-threshold <bits>', 'Differing hash bits for similar images (default: 10)'],
+    'similar-text': ['--similar-text', 'Group similar text files'],
+    'similar-text-threshold': ['--similar-text-threshold <0-1>', 'Similarity for similar text files (default: 0.8)'],
+    keep: ['--keep <rule>', "Rule for the copy to keep, e.g. 'prefer=/mnt/photos' or 'oldest'; repeatable"],
+    'remove-from': ['--remove-from <dir>', 'Only remove copies under this directory; repeatable'],
+    'replace-with': ['--replace-with <mode>', 'Replace copies with a hardlink, symlink or reflink instead of moving them'],
+    trash: ['--trash', 'Move copies to the desktop Trash instead of quarantine'],
+    quarantine: ['--quarantine <dir>', 'Move copies here instead of @duplicates next to each root'],
+    'no-verify': ['--no-verify', 'Skip the byte-for-byte comparison before removing a copy'],
+    'no-scan': ['--no-scan', 'Work from the index as it is instead of rescanning first'],
+    'older-than': ['--older-than <age>', 'Age of quarantined copies, e.g. 30d, 12h or 2w'],
+    'show-overlap': ['--show-overlap', 'Also list folders that partly overlap'],
+    'show-empty': ['--show-empty', 'Also list the empty files'],
+    'show-errors': ['--show-errors', 'Also list the paths that could not be read'],
+    port: ['--port <n>', 'Port of the web interface (default: 3000)'],
+    host: ['--host <address>', 'Address the web interface listens on (default: all interfaces)'],
+    profile: ['--profile <name>', 'Use a profile from dedupe.config.json or .deduperc'],
+    help: ['-h, --help', 'Show help']
+};
+
+// Options that decide what a scan indexes
+const SCAN_OPTIONS = ['target', 'force', 'jobs', 'algorithm', 'include', 'exclude', 'ext', 'exclude-ext',
+    'min-size', 'max-size', 'include-empty', 'follow-symlinks', 'archives',
+    'similar-images', 'similar-threshold', 'similar-text', 'similar-text-threshold'];
+
+// Options that decide which copies are removed and how
+const REMOVAL_OPTIONS = ['keep', 'remove-from', 'replace-with', 'trash', 'quarantine', 'no-verify'];
+
+/**
+ * COMMANDS - Usage, summary and options of every command
+ * How it works: 'description' is printed under the usage line of the command's own help
+ */
+const COMMANDS = {
+    scan: {
+        usage: 'dedupe scan [options]',
+        summary: 'Index the targets and show the duplicate summary',
+        description: 'Walks the targets, hashes files that may be duplicates and updates the index.\n' +
+            'An interrupted scan resumes where it stopped. The filter and size options are saved with\n' +
+            'the index and used again by later scans until they are given anew.',
+        options: SCAN_OPTIONS
+    },
+    report: {
+        usage: 'dedupe report [options]',
+        summary: 'List the duplicates in the index without rescanning',
+        description: 'Prints the summary and every duplicate set with the copy the keep rules would keep.',
+        options: ['target', 'keep', 'remove-from', 'show-overlap', 'show-empty', 'show-errors', 'similar-images', 'similar-text']
+    },
+    serve: {
+        usage: 'dedupe serve [options]',
+        summary: 'Open the web interface on the index without rescanning',
+        description: 'Serves the dashboard at http://localhost:3000, or on the --port given.',
+        options: ['target', 'port', 'host', ...REMOVAL_OPTIONS]
+    },
+    clean: {
+        usage: 'dedupe clean [options]',
+        summary: 'Rescan, then remove duplicates by the keep rules',
+        description: 'Moves every copy but the one to keep into quarantine (or the Trash, or replaces it\n' +
+            "with a link). The run is one batch that 'dedupe undo' reverses.",
+        options: [...REMOVAL_OPTIONS, 'no-scan', ...SCAN_OPTIONS]
+    },
+    plan: {
+        usage: 'dedupe plan [plan.json] [options]',
+        summary: 'Rescan, then write what clean would do to a plan file',
+        description: "Writes dedupe-plan.json unless another file is named. Edit it, then run 'dedupe apply'.",
+        options: [...REMOVAL_OPTIONS, 'no-scan', ...SCAN_OPTIONS]
+    },
+    review: {
+        usage: 'dedupe review [options]',
+        summary: 'Rescan, then pick the copy to keep set by set',
+        description: 'Steps through the duplicate sets, most wasted space first, in an interactive terminal.\n' +
+            'Nothing is removed until the choices are confirmed at the end.',
+        options: [...REMOVAL_OPTIONS, 'no-scan', ...SCAN_OPTIONS]
+    },
+    apply: {
+        usage: 'dedupe apply <plan.json> [options]',
+        summary: 'Carry out a plan file',
+        description: 'Checks every set of the plan against the index and the disk before acting on it.\n' +
+            'Without --target the roots recorded in the plan are used.',
+        options: ['target', 'quarantine', 'no-verify']
+    },
+    undo: {
+        usage: 'dedupe undo [batch] [options]',
+        summary: 'Restore the files of a batch, the latest by default',
+        description: 'Puts moved, trashed and linked copies back, leaving alone any path that is taken again.',
+        options: ['target']
+    },
+    purge: {
+        usage: 'dedupe purge --older-than <age> [options]',
+        summary: 'Delete quarantined copies for good',
+        description: "Deletes the copies moved to quarantine longer ago than --older-than ('0' for all).",
+        options: ['target', 'older-than']
+    },
+    quarantine: {
+        usage: 'dedupe quarantine [options]',
+        summary: 'Show what is sitting in quarantine',
+        description: 'Totals the quarantined copies per batch and what a purge would delete.',
+        options: ['target', 'older-than', 'quarantine']
+    },
+    status: {
+        usage: 'dedupe status [options]',
+        summary: 'Show the state of the index',
+        description: 'Prints the roots, the last scan and whether it finished, the duplicate summary,\n' +
+            'unreadable paths, the last batch that can be undone and the quarantine.',
+        options: ['target']
+    },
+    'db info': {
+        usage: 'dedupe db info [options]',
+        summary: 'Show the index database file and its tables',
+        description: 'Prints the database path and size, the hash algorithm, the stored filters and\n' +
+            'the number of rows in every table.',
+        options: ['target']
+    }
+};
+
+// Flags of earlier versions that still work without a command
+const LEGACY_FLAGS = [
+    ['-s, --show-dupes', 'Scan, then list the duplicates (scan + report)'],
+    ['-y, --auto-remove', 'Scan, then remove duplicates (clean)'],
+    ['-w, --server', 'Scan, then open the web interface (scan + serve)']
+];
+
+/**
+ * formatRows - Lines up two columns of text
+ * @param {Array<Array<string>>} rows - Pairs of left and right column text
+ * @return {string} - The rows, indented, with the right column aligned
+ */
+function formatRows(rows) {
+    const width = Math.max(...rows.map(([left]) => left.length)) + 2;
+    return rows.map(([left, right]) => `  ${left.padEnd(width)}${right}`).join('\n');
+}
+
+/**
+ * getHelpTopic - Names the command a help request is about
+ * @param {string|null} command - The first positional argument
+ * @param {Array<string>} commandArgs - The positional arguments after it
+ * @return {string|null} - A key of COMMANDS, or null for the overview
+ */
+export function getHelpTopic(command, commandArgs) {
+    if (command === 'help') return getHelpTopic(commandArgs[0] ?? null, commandArgs.slice(1));
+    if (command === 'db') return 'db info';
+    return COMMANDS[command] ? command : null;
+}
+
+/**
+ * printHelp - Prints the help of one command, or the overview
+ * How it works: The overview lists every command with its summary, the options every
+ * command takes and the flags kept from earlier versions
+ * @param {string|null} topic - A key of COMMANDS, or null for the overview
+ */
+export function printHelp(topic) {
+    const entry = COMMANDS[topic];
+    if (entry) {
+        console.log(`${chalk.bold('Usage:')} ${entry.usage}\n`);
+        console.log(`${entry.summary}.\n${entry.description}\n`);
+        console.log(chalk.bold('Options:'));
+        console.log(formatRows([...entry.options, 'profile', 'debug', 'help'].map(name => OPTIONS[name])));
+        return;
+    }
+
+    console.log(`${chalk.bold('Usage:')} dedupe <command> [options]\n`);
+    console.log('Finds duplicate files and helps remove them.\n');
+    console.log(chalk.bold('Commands:'));
+    console.log(formatRows(Object.entries(COMMANDS).map(([name, command]) => [name, command.summary])));
+    console.log(`\n${chalk.bold('Options for every command:')}`);
+    console.log(formatRows(['target', 'profile', 'debug', 'help'].map(name => OPTIONS[name])));
+    console.log(`\n${chalk.bold('Without a command')} dedupe scans, then acts on the flags of earlier versions:`);
+    console.log(formatRows(LEGACY_FLAGS));
+    console.log(`\n${chalk.bold('Config files:')} dedupe.config.json or .deduperc in the home directory and in the`);
+    console.log('target can set any option by its long name, and define profiles under "profiles".');
+    console.log('The command line overrides the profile, which overrides the files. Only the home');
+    console.log("directory's file and its profiles can set a target.");
+    console.log("\nRun 'dedupe <command> --help' for the options of a command.");
+}
@@ -0,0 +1,125 @@
+/**
+ * Image Hash Module
+ * Purpose: Computes perceptual hashes of PNG and JPEG images
+ * Why it's needed: A resized, re-encoded or converted copy of a picture has
+ * different bytes, so content hashes never group it with the original
+ * How it works: Decodes the image in pure JS, shrinks it to a 9x8 grayscale grid
+ * and records whether each cell is brighter than its right-hand neighbour (dHash)
+ */
+
+import fs from 'fs';
+import { PNG } from 'pngjs';
+import jpeg from 'jpeg-js';
+
+// Extensions of the images the similar-images pass looks at
+export const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg'];
+
+// Size of the grayscale grid; one column more than bits per row for the comparisons
+const GRID_WIDTH = 9;
+const GRID_HEIGHT = 8;
+
+// Largest image decoded; every hashing worker may hold one, and a hash needs no more detail
+const MAX_MEGAPIXELS = 64;
+
+// Limits that keep a corrupt or huge JPEG from exhausting a worker's memory
+const JPEG_OPTIONS = { useTArray: true, formatAsRGBA: true, maxResolutionInMP: MAX_MEGAPIXELS, maxMemoryUsageInMB: 256 };
+
+/**
+ * decodeImage - Decodes a PNG or JPEG file into RGBA pixels
+ * Why it's needed: Converted copies keep their extension unreliable, so the
+ * format is taken from the file's signature
+ * How it works: Checks the PNG and JPEG magic bytes and hands the buffer to pngjs or
+ * jpeg-js; a PNG's size is read from its IHDR chunk first, since pngjs has no limit
+ * @param {Buffer} buffer - The file's contents
+ * @return {object} - Object with width, height and RGBA data
+ * @throws {Error} - If the image isn't a PNG or JPEG, or is over MAX_MEGAPIXELS
+ */
+function decodeImage(buffer) {
+    if (buffer.length > 8 && buffer.readUInt32BE(0) === 0x89504e47) {
+        if (buffer.length >= 24 && buffer.toString('latin1', 12, 16) === 'IHDR' &&
+            buffer.readUInt32BE(16) * buffer.readUInt32BE(20) > MAX_MEGAPIXELS * 1000 * 1000) {
+            throw new Error(`PNG of ${buffer.readUInt32BE(16)}x${buffer.readUInt32BE(20)} is larger than ${MAX_MEGAPIXELS} megapixels`);
+        }
+        return PNG.sync.read(buffer);
+    }
+    if (buffer.length > 2 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+        return jpeg.decode(buffer, JPEG_OPTIONS);
+    }
+    throw new Error('Not a PNG or JPEG image');
+}
+
+/**
+ * toGrayscaleGrid - Averages an image's luminance over a GRID_WIDTH x GRID_HEIGHT grid
+ * Why it's needed: Sizes, compression noise and small colour shifts must not change the hash
+ * How it works: Adds every pixel's luminance (composited on white) to the cell it
+ * falls in, then divides each cell by its pixel count
+ * @param {object} image - Object with width, height and RGBA data
+ * @return {Float64Array} - Row-major cell brightness values
+ */
+function toGrayscaleGrid({ width, height, data }) {
+    const sums = new Float64Array(GRID_WIDTH * GRID_HEIGHT);
+    const counts = new Uint32Array(GRID_WIDTH * GRID_HEIGHT);
+
+    for (let y = 0; y < height; y++) {
+        const row = Math.floor(y * GRID_HEIGHT / height) * GRID_WIDTH;
+        for (let x = 0; x < width; x++) {
+            const offset = (y * width + x) * 4;
+            const alpha = data[offset + 3] / 255;
+            const luminance = 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+            const cell = row + Math.floor(x * GRID_WIDTH / width);
+            sums[cell] += luminance * alpha + 255 * (1 - alpha);
+            counts[cell]++;
+        }
+    }
+
+    // Images narrower or shorter than the grid leave some cells empty
+    return sums.map((sum, cell) => counts[cell] > 0 ? sum / counts[cell] : 0);
+}
+
+/**
+ * hashImage - Computes the 64-bit difference hash of an image file
+ * @param {string} filePath - Path of a PNG or JPEG file
+ * @return {Promise<object>} - Object with the hash as 16 hex digits, width and height
+ */
+export async function hashImage(filePath) {
+    const image = decodeImage(await fs.promises.readFile(filePath));
+    const grid = toGrayscaleGrid(image);
+
+    // Two 32-bit halves, because bitwise operators in JS work on 32 bits
+    const halves = new Uint32Array(2);
+    for (let y = 0; y < GRID_HEIGHT; y++) {
+        for (let x = 0; x < GRID_WIDTH - 1; x++) {
+            const bit = y * (GRID_WIDTH - 1) + x;
+            if (grid[y * GRID_WIDTH + x] > grid[y * GRID_WIDTH + x + 1]) {
+                halves[bit >> 5] |= 1 << (bit & 31);
+            }
+        }
+    }
+
+    const hash = [...halves].map(half => half.toString(16).padStart(8, '0')).join('');
+    return { hash, width: image.width, height: image.height };
+}
+
+/**
+ * countBits - Counts the set bits of a 32-bit integer
+ * @param {number} value - The integer
+ * @return {number} - Number of set bits
+ */
+function countBits(value) {
+    value = value - ((value >>> 1) & 0x55555555);
+    value = (value & 0x33333333) + ((value >>> 2) & 0x33333333);
+    return (((value + (value >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+/**
+ * hammingDistance - Number of bits that differ between two image hashes
+ * Why it's needed: The fewer bits differ, the more alike the pictures look
+ * @param {string} first - Hash from hashImage
+ * @param {string} second - Hash from hashImage
+ * @return {number} - Distance from 0 (identical) to 64
+ */
+export function hammingDistance(first, second) {
+    const high = parseInt(first.slice(0, 8), 16) ^ parseInt(second.slice(0, 8), 16);
+    const low = parseInt(first.slice(8), 16) ^ parseInt(second.slice(8), 16);
+    return countBits(high) + countBits(low);
+}
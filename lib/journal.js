@@ -0,0 +1,265 @@
+/**
+ * Journal Module
+ * Purpose: Moves or links duplicates while journaling each action, and undoes batches
+ * Why it's needed: Every cleanup path (auto-remove, the web interface and applied
+ * plans) must be reversible and must keep the index in step with the disk
+ * How it works: Each run of actions shares a batch ID. After each action the
+ * operations table records where the file came from and what was left on disk;
+ * undo walks a batch backwards and restores each file, refusing to overwrite
+ * anything that appeared at its original location in the meantime.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { resolveFilePath } from '../database/files.js';
+import { journalOperation, completeUndo, getBatchOperations } from '../database/operations.js';
+import { moveToQuarantine, moveFile } from './quarantine.js';
+import { replaceWithLink, getTempPath } from './replace.js';
+import { moveToTrash, getTrashInfoPath } from './trash.js';
+import { followSymlinks } from './vars.js';
+
+// Link errors that mean the restore has to fall back to a checked move
+const LINK_UNSUPPORTED_ERRORS = ['EXDEV', 'EPERM', 'ENOTSUP', 'EOPNOTSUPP', 'ENOSYS'];
+
+/**
+ * createBatchId - Creates an ID for a run of actions
+ * Why it's needed: Undo restores a whole run at once, and users type the ID
+ * How it works: Combines the UTC date and time with a few random characters,
+ * e.g. 20240101-120000-3fa2
+ * @return {string} - The new batch ID
+ */
+export function createBatchId() {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    return `${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+/**
+ * getSignature - Picks the fields of the index record that change when a file is replaced
+ * @param {fs.Stats} stat - The file's stats
+ * @return {object} - Object with mtime, inode and device
+ */
+function getSignature(stat) {
+    return { mtime: Math.floor(stat.mtimeMs), inode: stat.ino, device: stat.dev };
+}
+
+/**
+ * isSameFile - Checks whether stats describe what an action left on disk
+ * Why it's needed: A freed inode number is often handed to the next new file, so a
+ * file written where a symlink was deleted can carry the symlink's inode
+ * How it works: Compares inode and device, whether the path is a symlink, and the
+ * size of a regular file with the journal
+ * @param {fs.Stats} stat - Current stats of the path
+ * @param {object} operation - Row from the operations table
+ * @return {boolean} - True if the path still holds what the action left
+ */
+function isSameFile(stat, operation) {
+    if (stat.ino !== operation.placed_inode || stat.dev !== operation.placed_device) return false;
+    if (stat.isSymbolicLink() !== (operation.action === 'symlink')) return false;
+    return stat.isSymbolicLink() || operation.size === null || stat.size === operation.size;
+}
+
+/**
+ * lstatOrNull - Stats a path without following symlinks
+ * @param {string} filePath - Path to check
+ * @return {Promise<fs.Stats|null>} - The stats, or null if nothing is there
+ */
+async function lstatOrNull(filePath) {
+    try {
+        return await fs.promises.lstat(filePath);
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+/**
+ * moveDuplicate - Moves a duplicate into quarantine and journals it
+ * How it works: Moves the file, then in one transaction journals the move and
+ * drops the file's index record, since it no longer lives under its root
+ * @param {object} file - File record with id, path and root
+ * @param {string} batch - Batch ID of the current run
+ * @return {Promise<string>} - Absolute path the file was moved to
+ */
+export async function moveDuplicate(file, batch) {
+    const source = resolveFilePath(file);
+    const destination = await moveToQuarantine(file);
+    journalOperation({
+        batch,
+        action: 'move',
+        fileId: file.id,
+        source,
+        destination,
+        placed: await fs.promises.lstat(destination)
+    }, null);
+    return destination;
+}
+
+/**
+ * trashDuplicate - Moves a duplicate to the freedesktop Trash and journals it
+ * How it works: Like moveDuplicate, but the destination is the file in the Trash,
+ * next to the .trashinfo record the file manager restores it from
+ * @param {object} file - File record with id, path and root
+ * @param {string} batch - Batch ID of the current run
+ * @return {Promise<string>} - Absolute path of the file in the Trash
+ */
+export async function trashDuplicate(file, batch) {
+    const source = resolveFilePath(file);
+    const destination = await moveToTrash(source);
+    journalOperation({
+        batch,
+        action: 'trash',
+        fileId: file.id,
+        source,
+        destination,
+        placed: await fs.promises.lstat(destination)
+    }, null);
+    return destination;
+}
+
+/**
+ * replaceDuplicate - Replaces a duplicate with a link to the kept file and journals it
+ * How it works: Replaces the file, then in one transaction journals the link and
+ * points the index record at the new inode; a symlink the scan would skip drops the record
+ * @param {object} original - Record of the kept file
+ * @param {object} file - File record with id, path and root
+ * @param {string} mode - 'hardlink', 'symlink' or 'reflink'
+ * @param {string} batch - Batch ID of the current run
+ * @return {Promise<string>} - The mode actually used
+ */
+export async function replaceDuplicate(original, file, mode, batch) {
+    const used = await replaceWithLink(original, file, mode);
+    const source = resolveFilePath(file);
+    const placed = await fs.promises.lstat(source);
+
+    let signature = getSignature(placed);
+    if (placed.isSymbolicLink()) {
+        signature = followSymlinks ? getSignature(await fs.promises.stat(source)) : null;
+    }
+
+    journalOperation({
+        batch,
+        action: used,
+        fileId: file.id,
+        source,
+        destination: resolveFilePath(original),
+        placed
+    }, signature);
+    return used;
+}
+
+/**
+ * removeDuplicate - Moves, trashes or replaces a duplicate and journals it
+ * Why it's needed: Review and applied plans carry an action per set rather than per run
+ * @param {string} action - 'move', 'trash', 'hardlink', 'symlink' or 'reflink'
+ * @param {object} original - Record of the kept file
+ * @param {object} file - File record with id, path and root
+ * @param {string} batch - Batch ID of the current run
+ * @return {Promise<string>} - The action actually taken; a link mode may have fallen back
+ */
+export async function removeDuplicate(action, original, file, batch) {
+    if (action === 'move') {
+        await moveDuplicate(file, batch);
+        return action;
+    }
+    if (action === 'trash') {
+        await trashDuplicate(file, batch);
+        return action;
+    }
+    return replaceDuplicate(original, file, action, batch);
+}
+
+/**
+ * restoreMove - Moves a quarantined or trashed file back to where it came from
+ * @param {object} operation - Row from the operations table
+ * @return {Promise<string|null>} - Why the file can't be restored, or null once it is
+ */
+async function restoreMove(operation) {
+    const copy = operation.action === 'trash' ? 'trashed copy' : 'quarantined copy';
+    const placed = await lstatOrNull(operation.destination);
+    if (!placed) return `${copy} ${operation.destination} is missing`;
+    if (!isSameFile(placed, operation)) return `${copy} ${operation.destination} was replaced since it was moved`;
+    if (await lstatOrNull(operation.source)) return 'a file now exists at the original location';
+
+    await fs.promises.mkdir(path.dirname(operation.source), { recursive: true });
+
+    // A hard link fails rather than overwrite a file that appeared in the meantime
+    try {
+        await fs.promises.link(operation.destination, operation.source);
+        await fs.promises.unlink(operation.destination);
+    } catch (error) {
+        if (error.code === 'EEXIST') return 'a file now exists at the original location';
+        if (!LINK_UNSUPPORTED_ERRORS.includes(error.code)) throw error;
+        await moveFile(operation.destination, operation.source);
+    }
+
+    // A file taken out of the Trash must not leave its record behind
+    if (operation.action === 'trash') {
+        await fs.promises.unlink(getTrashInfoPath(operation.destination)).catch(() => {});
+    }
+    return null;
+}
+
+/**
+ * restoreLink - Turns a link back into a separate copy of the kept file
+ * @param {object} operation - Row from the operations table
+ * @return {Promise<string|null>} - Why the file can't be restored, or null once it is
+ */
+async function restoreLink(operation) {
+    const placed = await lstatOrNull(operation.source);
+    if (!placed) return `${operation.action} is missing`;
+    if (!isSameFile(placed, operation)) return `${operation.action} was changed or replaced since it was made`;
+    if (!await lstatOrNull(operation.destination)) return `kept file ${operation.destination} is missing`;
+
+    // Build the copy next to the link and rename it over the link, as replacing did
+    const tempPath = getTempPath(operation.source);
+    try {
+        await fs.promises.copyFile(operation.destination, tempPath, fs.constants.COPYFILE_EXCL);
+        const record = operation.record ? JSON.parse(operation.record) : null;
+        if (record?.mtime !== null && record?.mtime !== undefined) {
+            const mtime = new Date(record.mtime);
+            await fs.promises.utimes(tempPath, mtime, mtime);
+        }
+        await fs.promises.rename(tempPath, operation.source);
+    } catch (error) {
+        await fs.promises.unlink(tempPath).catch(() => {});
+        throw error;
+    }
+    return null;
+}
+
+/**
+ * undoBatch - Restores every file of a batch to its original location
+ * Why it's needed: Lets users take back an auto-remove, a web action or an applied plan
+ * How it works:
+ * 1. Walks the batch's actions that are still in effect, newest first
+ * 2. Moves quarantined and trashed files back, or replaces links with copies of the kept file
+ * 3. Refuses any file whose original location is taken by something new, or
+ *    whose quarantined copy or link was changed since
+ * 4. Restores the file's index record in the same transaction that marks the action undone
+ * @param {string} batch - The batch ID
+ * @return {Promise<object>} - Object with batch, restored, refused and failed
+ */
+export async function undoBatch(batch) {
+    const refused = [];
+    const failed = [];
+    let restored = 0;
+
+    for (const operation of getBatchOperations(batch)) {
+        try {
+            const problem = operation.action === 'move' || operation.action === 'trash'
+                ? await restoreMove(operation)
+                : await restoreLink(operation);
+            if (problem) {
+                refused.push({ path: operation.source, reason: problem });
+                continue;
+            }
+            completeUndo(operation, getSignature(await fs.promises.lstat(operation.source)));
+            restored++;
+        } catch (error) {
+            failed.push({ path: operation.source, reason: error.message });
+        }
+    }
+
+    return { batch, restored, refused, failed };
+}
@@ -0,0 +1,145 @@
+/**
+ * Keep Rules Module
+ * Purpose: Decides which copy of a duplicate set is kept
+ * Why it's needed: Keeping the shortest path often keeps the copy in a temp or
+ * download folder; users know better which folders hold the real files
+ * How it works: Applies the ordered --keep rules one after another, each
+ * narrowing the copies that could be kept, and falls back to the shortest path
+ *
+ * Rules, given as repeated --keep options in order of importance:
+ *   prefer=<dir>    keep copies inside this directory
+ *   protect=<dir>   never move copies inside this directory, and keep them
+ *   oldest          keep the copy with the oldest modification time
+ *   newest          keep the copy with the newest modification time
+ *   match=<regex>   keep copies whose file name matches the expression
+ */
+
+import path from 'path';
+import { resolveFilePath } from '../database/files.js';
+import { keepRuleSpecs } from './vars.js';
+
+// Rules parsed from the command line, built on first use
+let keepRules = null;
+
+/**
+ * isInside - Checks whether a path is a directory or lies below it
+ * @param {string} fullPath - Absolute path to check
+ * @param {string} dir - Absolute directory path
+ * @return {boolean} - True if fullPath is dir or inside it
+ */
+function isInside(fullPath, dir) {
+    return fullPath === dir || fullPath.startsWith(dir.endsWith(path.sep) ? dir : dir + path.sep);
+}
+
+/**
+ * parseKeepRule - Turns one --keep value into a rule
+ * @param {string} spec - The value as typed, e.g. 'prefer=/mnt/photos' or 'oldest'
+ * @return {object} - Rule with type, label and a select(files) function
+ */
+function parseKeepRule(spec) {
+    const separator = spec.indexOf('=');
+    const type = (separator < 0 ? spec : spec.slice(0, separator)).trim().toLowerCase();
+    const value = separator < 0 ? '' : spec.slice(separator + 1).trim();
+
+    switch (type) {
+        case 'prefer':
+        case 'protect': {
+            if (!value) throw new Error(`--keep ${type} needs a directory, e.g. --keep ${type}=/mnt/photos`);
+            const dir = path.resolve(value);
+            return {
+                type,
+                label: `${type} ${dir}`,
+                dir,
+                select: files => files.filter(file => isInside(resolveFilePath(file), dir))
+            };
+        }
+        case 'oldest':
+        case 'newest': {
+            const pick = type === 'oldest' ? Math.min : Math.max;
+            return {
+                type,
+                label: type,
+                select: (files) => {
+                    // Files indexed before mtimes were stored can't be compared
+                    const dated = files.filter(file => file.mtime !== null && file.mtime !== undefined);
+                    if (dated.length === 0) return [];
+                    const mtime = pick(...dated.map(file => file.mtime));
+                    return dated.filter(file => file.mtime === mtime);
+                }
+            };
+        }
+        case 'match': {
+            if (!value) throw new Error('--keep match needs a regular expression, e.g. --keep "match=^IMG_"');
+            let pattern;
+            try {
+                pattern = new RegExp(value);
+            } catch (error) {
+                throw new Error(`Invalid --keep match expression '${value}': ${error.message}`);
+            }
+            return {
+                type,
+                label: `match ${value}`,
+                select: files => files.filter(file => pattern.test(path.basename(file.path)))
+            };
+        }
+        default:
+            throw new Error(`Unknown --keep rule '${spec}'. Use prefer=<dir>, protect=<dir>, oldest, newest or match=<regex>`);
+    }
+}
+
+/**
+ * getKeepRules - The keep rules given on the command line, in order
+ * Why it's needed: Parsed once and shared by auto-remove, the reports and the web API
+ * @return {Array<object>} - The parsed rules
+ * @throws {Error} - If a rule is unknown or malformed
+ */
+export function getKeepRules() {
+    if (!keepRules) {
+        keepRules = keepRuleSpecs.map(parseKeepRule);
+    }
+    return keepRules;
+}
+
+/**
+ * isProtectedPath - Checks whether a file lies in a directory protected by a keep rule
+ * @param {object} file - File record with path and root
+ * @return {boolean} - True if the file must never be moved
+ */
+export function isProtectedPath(file) {
+    const fullPath = resolveFilePath(file);
+    return getKeepRules().some(rule => rule.type === 'protect' && isInside(fullPath, rule.dir));
+}
+
+/**
+ * chooseOriginal - Picks the copy to keep and names the rule that picked it
+ * Why it's needed: Users need to see why a copy was kept to trust the removal
+ * How it works:
+ * 1. Applies each rule in order; a rule that matches some but not all of the
+ *    remaining copies narrows them down, one that matches none or all is passed over
+ * 2. Stops as soon as one copy is left; that rule decided
+ * 3. Otherwise keeps the shortest of the remaining paths
+ * @param {Array<object>} files - Copies that may be kept, with path, root and mtime
+ * @param {Array<object>} [steps] - Rules to apply before the configured ones
+ * @return {object} - Object with original and rule (label of the deciding rule)
+ */
+export function chooseOriginal(files, steps = []) {
+    if (files.length === 1) {
+        return { original: files[0], rule: 'only copy' };
+    }
+
+    let remaining = files;
+    for (const rule of [...steps, ...getKeepRules()]) {
+        const selected = rule.select(remaining);
+        if (selected.length > 0 && selected.length < remaining.length) {
+            remaining = selected;
+            if (remaining.length === 1) {
+                return { original: remaining[0], rule: rule.label };
+            }
+        }
+    }
+
+    const original = remaining.reduce((shortest, current) =>
+        current.path.length < shortest.path.length ? current : shortest
+    );
+    return { original, rule: 'shortest path' };
+}
@@ -0,0 +1,297 @@
+/**
+ * Plan Module
+ * Purpose: Writes duplicate cleanups to a JSON action plan and applies such plans later
+ * Why it's needed: --auto-remove acts at once; a plan file can be reviewed, edited
+ * and checked into code review before anything is moved
+ * How it works: 'dedupe plan' lists, for every duplicate set, the file to keep, the
+ * files to act on, the action and the bytes it would free. 'dedupe apply plan.json'
+ * checks every entry against the current index and the files on disk before acting on it.
+ *
+ * Plan format:
+ *   {
+ *     "version": 1,
+ *     "createdAt": "2024-01-01T00:00:00.000Z",
+ *     "targets": ["/data/photos"],
+ *     "totalBytesFreed": 1048576,
+ *     "sets": [{
+ *       "hash": "...", "size": 524288, "rule": "shortest path",
+ *       "keep": { "path": "photos/a.jpg", "root": "/data/photos" },
+ *       "action": "move",                       // or 'trash', 'hardlink', 'symlink', 'reflink'
+ *       "files": [{ "path": "photos/copy/a.jpg", "root": "/data/photos" }],
+ *       "bytesFreed": 524288,
+ *       "leave": [{ "path": "...", "reason": "hardlink of the kept file" }]
+ *     }]
+ *   }
+ * Paths are stored as in the index, relative to the parent of their root.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getDuplicates, getFilesByHash } from '../database/files.js';
+import { targetDirs, log, verifyCopies } from './vars.js';
+import { planDuplicateSet, physicalKey, isArchived, isRemovable } from './duplicate-sets.js';
+import { verifyDuplicate } from './verify.js';
+import { REPLACE_MODES } from './replace.js';
+import { createBatchId, removeDuplicate } from './journal.js';
+import { getIgnoredHashes } from '../database/ignored-sets.js';
+
+// Version written to new plans; plans of other versions are refused
+const PLAN_VERSION = 1;
+
+// What a plan can do with the files of a set
+export const PLAN_ACTIONS = ['move', 'trash', ...REPLACE_MODES];
+
+// Plan file written when 'dedupe plan' is given no file name
+export const DEFAULT_PLAN_FILE = 'dedupe-plan.json';
+
+/**
+ * toPlanEntry - Reduces a file record to what a plan stores about it
+ * @param {object} file - File record with path and root
+ * @return {object} - Object with path and root
+ */
+function toPlanEntry(file) {
+    return { path: file.path, root: file.root };
+}
+
+/**
+ * isSameEntry - Checks whether a file record is the file a plan entry names
+ * @param {object} file - File record with path and root
+ * @param {object} entry - Plan entry with path and root
+ * @return {boolean} - True if both name the same indexed file
+ */
+function isSameEntry(file, entry) {
+    return file.path === entry.path && (file.root ?? null) === (entry.root ?? null);
+}
+
+/**
+ * isPlanEntry - Checks that a plan entry names a file at all
+ * Why it's needed: Plans are edited by hand, and a stray null or string must be
+ * skipped rather than stop the apply halfway
+ * @param {any} entry - Entry from the plan
+ * @return {boolean} - True if the entry is an object with a string path
+ */
+function isPlanEntry(entry) {
+    return Boolean(entry) && typeof entry === 'object' && typeof entry.path === 'string';
+}
+
+/**
+ * describeEntry - Names a plan entry in skip reasons, valid or not
+ * @param {any} entry - Entry from the plan
+ * @return {string} - The entry's path, or the entry as JSON
+ */
+function describeEntry(entry) {
+    return isPlanEntry(entry) ? entry.path : JSON.stringify(entry) ?? String(entry);
+}
+
+/**
+ * describeAction - Past-tense label for an action, for log lines
+ * @param {string} action - 'move', 'trash' or a replace mode
+ * @return {string} - e.g. 'Moved' or 'Replaced with hardlink'
+ */
+export function describeAction(action) {
+    if (action === 'move') return 'Moved';
+    if (action === 'trash') return 'Trashed';
+    return `Replaced with ${action}`;
+}
+
+/**
+ * buildPlan - Lists the action auto-remove would take for every duplicate set
+ * Why it's needed: The plan must match what --auto-remove or --replace-with would do
+ * How it works:
+ * 1. Splits each duplicate set with planDuplicateSet, so keep rules and protected roots apply
+ * 2. Records the kept file, the removable copies and why the other copies stay
+ * 3. Leaves out sets with nothing to act on and sets ignored in review
+ * @param {string} action - 'move', 'trash' or one of the replace modes
+ * @return {object} - The plan, ready to be written as JSON
+ */
+export function buildPlan(action) {
+    const sets = [];
+    const ignored = getIgnoredHashes();
+    for (const group of getDuplicates.all()) {
+        if (ignored.has(group.hash)) continue;
+        const files = getFilesByHash.all(group.hash);
+        if (files.length <= 1) continue;
+
+        const plan = planDuplicateSet(files);
+        if (plan.removable.length === 0) continue;
+
+        sets.push({
+            hash: group.hash,
+            size: group.size,
+            rule: plan.rule,
+            keep: toPlanEntry(plan.original),
+            action,
+            files: plan.removable.map(toPlanEntry),
+            bytesFreed: plan.spaceFreed,
+            leave: [
+                ...plan.linked.map(file => ({ path: file.path, reason: 'hardlink of the kept file' })),
+                ...plan.protected.map(file => ({ path: file.path, reason: 'protected or in a read-only root' })),
+                ...plan.archived.map(file => ({ path: file.path, reason: 'inside an archive' }))
+            ]
+        });
+    }
+
+    return {
+        version: PLAN_VERSION,
+        createdAt: new Date().toISOString(),
+        targets: targetDirs,
+        totalBytesFreed: sets.reduce((total, set) => total + set.bytesFreed, 0),
+        sets
+    };
+}
+
+/**
+ * writePlan - Writes the current action plan to a JSON file
+ * @param {string} planFile - Path of the file to write
+ * @param {string} action - 'move', 'trash' or one of the replace modes
+ * @return {object} - The plan that was written
+ */
+export function writePlan(planFile, action) {
+    const plan = buildPlan(action);
+    fs.writeFileSync(planFile, JSON.stringify(plan, null, 2) + '\n');
+    return plan;
+}
+
+/**
+ * readPlan - Reads and checks the shape of a plan file
+ * @param {string} planFile - Path of the plan file
+ * @return {object} - The parsed plan
+ * @throws {Error} - If the file can't be read or isn't a plan this version understands
+ */
+function readPlan(planFile) {
+    let plan;
+    try {
+        plan = JSON.parse(fs.readFileSync(planFile, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read plan ${planFile}: ${error.message}`);
+    }
+
+    if (!plan || plan.version !== PLAN_VERSION || !Array.isArray(plan.sets)) {
+        throw new Error(`${planFile} is not a version ${PLAN_VERSION} dedupe plan`);
+    }
+    const foreign = (plan.targets || []).map(target => path.resolve(target)).filter(target => !targetDirs.includes(target));
+    if (foreign.length > 0) {
+        throw new Error(`Plan was made for ${foreign.join(', ')}, which this database doesn't index. Run apply with the plan's --target`);
+    }
+    return plan;
+}
+
+/**
+ * checkPlanSet - Finds why a planned set can't be applied as a whole
+ * @param {object} set - Set from the plan
+ * @param {Array<object>} indexed - Files currently indexed with the set's hash
+ * @return {string|null} - The reason, or null if the set can be applied
+ */
+function checkPlanSet(set, indexed) {
+    if (!PLAN_ACTIONS.includes(set.action)) {
+        return `unknown action '${set.action}'. Use one of: ${PLAN_ACTIONS.join(', ')}`;
+    }
+    if (!isPlanEntry(set.keep) || !Array.isArray(set.files)) {
+        return 'set has no keep entry with a path or no files list';
+    }
+    const keep = indexed.find(file => isSameEntry(file, set.keep));
+    if (!keep) {
+        return `kept file ${set.keep.path} is no longer indexed with this content`;
+    }
+    if (isArchived(keep)) {
+        return `kept file ${set.keep.path} is inside an archive`;
+    }
+    return null;
+}
+
+/**
+ * checkPlanFile - Finds why a planned file must be left alone
+ * @param {any} entry - File entry from the plan
+ * @param {object|undefined} file - The matching indexed file, if any
+ * @param {object} keep - The indexed kept file
+ * @return {string|null} - The reason, or null if the file may be acted on
+ */
+function checkPlanFile(entry, file, keep) {
+    if (!isPlanEntry(entry)) return 'entry is not an object with a path';
+    if (!file) return 'no longer indexed with the kept file\'s content';
+    if (file === keep) return 'is the kept file';
+    if (isArchived(file)) return 'inside an archive';
+    if (!isRemovable(file)) return 'protected or in a read-only root';
+    if (physicalKey(file) === physicalKey(keep)) return 'already a hardlink of the kept file';
+    return null;
+}
+
+/**
+ * applyPlan - Carries out a reviewed plan file
+ * Why it's needed: The index or the files may have changed since the plan was written
+ * How it works:
+ * 1. Checks that each set's kept file is still indexed with the set's hash
+ * 2. Checks that each file to act on still is, isn't protected and isn't a hardlink of the kept file
+ * 3. Unless --no-verify is set, compares each file with the kept file byte for byte
+ * 4. Moves the file into quarantine or the Trash, or replaces it with a link, as the set's action says
+ * Entries that fail a check are skipped with a reason; the rest of the plan still runs.
+ * All actions are journaled under one batch ID that 'dedupe undo' can reverse; an
+ * unexpected error carries that ID as error.batch once anything was done.
+ * @param {string} planFile - Path of the plan file
+ * @return {Promise<object>} - Object with setsApplied, filesActedOn, spaceFreed, skipped,
+ * failed and batch (null if nothing was done)
+ * @throws {Error} - If the file isn't a readable plan for this database, or on an
+ * unexpected error part way, with the batch ID of what was done as error.batch
+ */
+export async function applyPlan(planFile) {
+    const plan = readPlan(planFile);
+    const skipped = [];
+    const failed = [];
+    let setsApplied = 0;
+    let filesActedOn = 0;
+    let spaceFreed = 0;
+    const batch = createBatchId();
+
+    try {
+        for (const set of plan.sets) {
+            if (!set || typeof set !== 'object') {
+                log.warning(`Skipped set ${describeEntry(set)}: not an object`);
+                skipped.push({ path: describeEntry(set), reason: 'set is not an object' });
+                continue;
+            }
+            const indexed = getFilesByHash.all(String(set.hash));
+            const setProblem = checkPlanSet(set, indexed);
+            if (setProblem) {
+                log.warning(`Skipped set ${isPlanEntry(set.keep) ? set.keep.path : set.hash}: ${setProblem}`);
+                (Array.isArray(set.files) ? set.files : []).forEach(entry => skipped.push({ path: describeEntry(entry), reason: setProblem }));
+                continue;
+            }
+
+            const keep = indexed.find(file => isSameEntry(file, set.keep));
+            log.info(`Applying ${set.action} to set - Keeping: ${keep.path}`);
+
+            // Hardlinks among the acted-on copies free their space only once
+            const freedKeys = new Set();
+            for (const entry of set.files) {
+                const file = isPlanEntry(entry) ? indexed.find(candidate => isSameEntry(candidate, entry)) : undefined;
+                const problem = checkPlanFile(entry, file, keep)
+                    || (verifyCopies ? await verifyDuplicate(keep, file) : null);
+                if (problem) {
+                    log.warning(`Skipped ${describeEntry(entry)}: ${problem}`);
+                    skipped.push({ path: describeEntry(entry), reason: problem });
+                    continue;
+                }
+
+                try {
+                    const used = await removeDuplicate(set.action, keep, file, batch);
+                    log.success(`${describeAction(used)}: ${file.path}`);
+                    filesActedOn++;
+                    if (!freedKeys.has(physicalKey(file))) {
+                        freedKeys.add(physicalKey(file));
+                        spaceFreed += file.size;
+                    }
+                } catch (error) {
+                    log.error(`Failed to ${REPLACE_MODES.includes(set.action) ? 'replace' : set.action} ${file.path}: ${error.message}`);
+                    failed.push({ path: entry.path, reason: error.message });
+                }
+            }
+            setsApplied++;
+        }
+    } catch (error) {
+        // Let the caller point 'dedupe undo' at what was done before the error
+        error.batch = filesActedOn > 0 ? batch : null;
+        throw error;
+    }
+
+    return { setsApplied, filesActedOn, spaceFreed, skipped, failed, batch: filesActedOn > 0 ? batch : null };
+}
@@ -12,9 +12,14 @@ export class ProgressTracker {
      * Constructor - Initializes tracking variables
      * Why it's needed: Sets up the initial state for progress tracking
      * How it works: Creates properties to store counts, timestamps, and initialization state
+     * @param {object} [options] - Display options
+     * @param {string} [options.label] - Label shown in front of the progress bar
      */
-    constructor() {
+    constructor({ label = 'Progress' } = {}) {
+        this.label = label;         // Label shown in front of the progress bar
         this.totalFiles = 0;        // Total number of files to process
+        this.totalEstimated = false; // Whether the total is an estimate that may still grow
+        this.discoveredFiles = 0;   // Files found so far by a walk that is still running
         this.processedFiles = 0;    // Number of files processed so far
         this.startTime = Date.now(); // When the operation started
         this.lastUpdateTime = this.startTime; // Last time the display was updated
@@ -44,6 +49,30 @@ export class ProgressTracker {
         }
     }
 
+    /**
+     * setEstimatedTotal - Starts with a total the walk may still exceed
+     * Why it's needed: A single-pass walk doesn't know how many files there are
+     * until it has finished
+     * How it works: Uses the estimate, such as the previous scan's file count,
+     * until more files have been discovered than it predicted
+     * @param {number} estimate - The expected number of files
+     */
+    setEstimatedTotal(estimate) {
+        this.totalEstimated = true;
+        this.setTotalFiles(Math.max(estimate, this.discoveredFiles));
+    }
+
+    /**
+     * addDiscovered - Grows an estimated total as the walk finds files
+     * @param {number} count - Number of files just discovered
+     */
+    addDiscovered(count) {
+        this.discoveredFiles += count;
+        if (this.discoveredFiles > this.totalFiles) {
+            this.totalFiles = this.discoveredFiles;
+        }
+    }
+
     /**
      * incrementProcessed - Increases the processed files count by 1
      * Why it's needed: Tracks each file as it's processed
@@ -114,8 +143,9 @@ export class ProgressTracker {
         const timeInfo = this.formatTimeInfo(elapsed, estimatedSeconds);
 
         // Build the progress line
-        const progressLine = `${chalk.cyan('Progress:')} ${progressBar} ${chalk.yellow(`${percentage}%`)} | ` +
-            chalk.green(`${this.processedFiles}/${this.totalFiles} files`) + ` | ${timeInfo}`;
+        const total = this.totalEstimated ? `~${this.totalFiles}` : this.totalFiles;
+        const progressLine = `${chalk.cyan(`${this.label}:`)} ${progressBar} ${chalk.yellow(`${percentage}%`)} | ` +
+            chalk.green(`${this.processedFiles}/${total} files`) + ` | ${timeInfo}`;
         
         // Store the current progress line
         this.lastProgressLine = progressLine;
@@ -184,9 +214,15 @@ export class ProgressTracker {
     complete() {
         const totalTime = (Date.now() - this.startTime) / 1000; // Total seconds elapsed
         
+        // Once the walk is over the processed count is the real total
+        if (this.totalEstimated) {
+            this.totalFiles = this.processedFiles;
+            this.totalEstimated = false;
+        }
+        
         if (!this.debugMode) {
             process.stdout.write('\r\x1b[K'); // Clear the line
-            console.log('Scan completed successfully');
+            console.log(this.label === 'Progress' ? 'Scan completed successfully' : `${this.label} completed`);
         }
         
         const stats = {
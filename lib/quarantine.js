@@ -0,0 +1,227 @@
+/**
+ * Quarantine Module
+ * Purpose: Moves duplicates into quarantine, purges old ones and reports what is there
+ * Why it's needed: Moved duplicates used to sit in @duplicates forever, so the space
+ * was never actually reclaimed
+ * How it works: Quarantined copies go to the @duplicates folder next to their root, or
+ * under --quarantine mirroring their absolute path. A location on another filesystem is
+ * reached by copying, verifying and unlinking. The operations journal records every move,
+ * so purging and the status view work from it; copies moved before the journal existed
+ * are not tracked.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { resolveFilePath } from '../database/files.js';
+import { getQuarantined, getQuarantineBatches, markPurged } from '../database/operations.js';
+import { addQuarantineDir } from '../database/meta.js';
+import { baseDir, quarantineDir } from './vars.js';
+import { compareContents } from './verify.js';
+import { getTempPath } from './replace.js';
+
+// Seconds per unit accepted by --older-than; a bare number counts days
+const AGE_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+/**
+ * getQuarantinePath - Where a removed duplicate is moved to
+ * Why it's needed: By default each root keeps its @duplicates folder next to it, on the
+ * same filesystem; --quarantine collects every root's copies in one place
+ * How it works: Mirrors the stored relative path under the root's sibling @duplicates
+ * folder, or the file's absolute path under the --quarantine directory so copies from
+ * roots with the same name can't collide
+ * @param {object} file - File record with path and root
+ * @return {string} - Absolute destination path
+ */
+export function getQuarantinePath(file) {
+    if (quarantineDir) {
+        const fullPath = resolveFilePath(file);
+        return path.join(quarantineDir, fullPath.slice(path.parse(fullPath).root.length));
+    }
+    const parentDir = file.root ? path.dirname(file.root) : baseDir;
+    return path.join(parentDir, '@duplicates', file.path);
+}
+
+/**
+ * getFreePath - Finds a name that isn't taken yet
+ * Why it's needed: A file quarantined again after a rescan must not overwrite its
+ * earlier copy, which a batch may still want to restore
+ * How it works: Adds .1, .2 and so on before the extension until the name is free
+ * @param {string} filePath - Preferred path
+ * @return {string} - The preferred path or the first free numbered variant
+ */
+function getFreePath(filePath) {
+    const { dir, name, ext } = path.parse(filePath);
+    let candidate = filePath;
+    for (let number = 1; fs.existsSync(candidate); number++) {
+        candidate = path.join(dir, `${name}.${number}${ext}`);
+    }
+    return candidate;
+}
+
+/**
+ * moveFile - Moves a file, across filesystems if need be
+ * Why it's needed: rename fails with EXDEV when the quarantine is on another filesystem
+ * How it works:
+ * 1. Tries a plain rename
+ * 2. On EXDEV copies the file next to the destination under a temporary name and
+ *    gives it the source's timestamps
+ * 3. Compares the copy with the source byte for byte, renames it into place and
+ *    only then unlinks the source; a mismatch removes the copy and throws
+ * @param {string} source - Absolute path of the file
+ * @param {string} destination - Absolute path to move it to
+ */
+export async function moveFile(source, destination) {
+    try {
+        await fs.promises.rename(source, destination);
+        return;
+    } catch (error) {
+        if (error.code !== 'EXDEV') throw error;
+    }
+
+    const tempPath = getTempPath(destination);
+    try {
+        const stat = await fs.promises.stat(source);
+        await fs.promises.copyFile(source, tempPath, fs.constants.COPYFILE_EXCL);
+        await fs.promises.utimes(tempPath, stat.atime, stat.mtime);
+        if (!await compareContents(source, tempPath)) {
+            throw new Error(`copy at ${destination} doesn't match the original`);
+        }
+        await fs.promises.rename(tempPath, destination);
+    } catch (error) {
+        await fs.promises.unlink(tempPath).catch(() => {});
+        throw error;
+    }
+    await fs.promises.unlink(source);
+}
+
+/**
+ * moveToQuarantine - Moves a duplicate into quarantine
+ * Why it's needed: Auto-remove, the web interface and applied plans all move copies the same way
+ * How it works: Creates the mirrored directory structure and moves the file into it
+ * under a name no earlier quarantined copy uses; a --quarantine directory is recorded
+ * so later scans keep it out of the index
+ * @param {object} file - File record with path and root
+ * @return {Promise<string>} - Absolute path the file was moved to
+ */
+export async function moveToQuarantine(file) {
+    if (quarantineDir) addQuarantineDir(quarantineDir);
+    const destPath = getFreePath(getQuarantinePath(file));
+    await fs.promises.mkdir(path.dirname(destPath), { recursive: true });
+    await moveFile(resolveFilePath(file), destPath);
+    return destPath;
+}
+
+/**
+ * parseAge - Converts an age such as '30d', '12h' or '2w' to seconds
+ * @param {string} value - The age as typed; a bare number counts days
+ * @return {number} - The age in seconds
+ * @throws {Error} - If the value isn't an age
+ */
+export function parseAge(value) {
+    const match = /^\s*(\d+(?:\.\d+)?)\s*([smhdw]?)\s*$/i.exec(String(value));
+    if (!match) {
+        throw new Error(`Invalid --older-than value '${value}'. Use a number with s, m, h, d or w, e.g. 30d`);
+    }
+    return parseFloat(match[1]) * AGE_UNITS[(match[2] || 'd').toLowerCase()];
+}
+
+/**
+ * getQuarantineRoot - The quarantine directory a quarantined copy sits in
+ * Why it's needed: Directories emptied by a purge may only be removed below it
+ * How it works: Uses the --quarantine directory if the copy is inside it, otherwise
+ * the nearest @duplicates folder above the copy
+ * @param {string} filePath - Absolute path of the quarantined copy
+ * @return {string|null} - The quarantine directory, or null if the copy isn't in one
+ */
+function getQuarantineRoot(filePath) {
+    if (quarantineDir && filePath.startsWith(quarantineDir + path.sep)) return quarantineDir;
+    for (let dir = path.dirname(filePath); dir !== path.dirname(dir); dir = path.dirname(dir)) {
+        if (path.basename(dir) === '@duplicates') return dir;
+    }
+    return null;
+}
+
+/**
+ * removeEmptyParents - Removes the directories a purged copy leaves empty
+ * Why it's needed: Quarantine mirrors the whole directory tree of every copy, which
+ * would otherwise stay behind as empty folders once the copies are purged
+ * How it works: Removes the copy's directory and its parents one by one, stopping at
+ * the first that isn't empty and never touching the quarantine directory itself
+ * @param {string} filePath - Absolute path of the purged copy
+ */
+async function removeEmptyParents(filePath) {
+    const quarantineRoot = getQuarantineRoot(filePath);
+    if (!quarantineRoot) return;
+
+    for (let dir = path.dirname(filePath); dir.startsWith(quarantineRoot + path.sep); dir = path.dirname(dir)) {
+        try {
+            await fs.promises.rmdir(dir);
+        } catch {
+            return;
+        }
+    }
+}
+
+/**
+ * purgeQuarantine - Deletes quarantined copies for good once they are old enough
+ * Why it's needed: Quarantine only frees space on the original filesystem; purging
+ * is what finally gives it back
+ * How it works:
+ * 1. Lists journaled moves older than the cutoff that were neither undone nor purged
+ * 2. Deletes each copy that is still the file that was moved there
+ * 3. Marks copies that are already gone as purged, and leaves replaced ones alone
+ * 4. Removes the quarantine folders that are left empty
+ * @param {number} olderThanSeconds - Minimum time since the move
+ * @return {Promise<object>} - Object with purged, spaceFreed, missing and changed (paths left in place)
+ */
+export async function purgeQuarantine(olderThanSeconds) {
+    let purged = 0;
+    let spaceFreed = 0;
+    let missing = 0;
+    const changed = [];
+
+    for (const operation of getQuarantined(olderThanSeconds)) {
+        let stat;
+        try {
+            stat = await fs.promises.lstat(operation.destination);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            markPurged(operation.id);
+            missing++;
+            continue;
+        }
+
+        if (stat.ino !== operation.placed_inode || stat.dev !== operation.placed_device) {
+            changed.push(operation.destination);
+            continue;
+        }
+
+        await fs.promises.unlink(operation.destination);
+        markPurged(operation.id);
+        await removeEmptyParents(operation.destination);
+        purged++;
+        spaceFreed += stat.size;
+    }
+
+    return { purged, spaceFreed, missing, changed };
+}
+
+/**
+ * getQuarantineStatus - Totals what is sitting in quarantine
+ * @param {number} [olderThanSeconds] - Age to report separately as ready to purge
+ * @return {object} - Object with location, files, size, oldest, expiredFiles,
+ * expiredSize and batches (batch, createdAt, files and size, oldest first)
+ */
+export function getQuarantineStatus(olderThanSeconds = AGE_UNITS.d * 30) {
+    const batches = getQuarantineBatches();
+    const expired = getQuarantined(olderThanSeconds);
+    return {
+        location: quarantineDir || '@duplicates next to each root',
+        files: batches.reduce((total, batch) => total + batch.files, 0),
+        size: batches.reduce((total, batch) => total + batch.size, 0),
+        oldest: batches.length > 0 ? batches[0].createdAt : null,
+        expiredFiles: expired.length,
+        expiredSize: expired.reduce((total, operation) => total + (operation.size || 0), 0),
+        batches
+    };
+}
@@ -0,0 +1,111 @@
+/**
+ * Replace Module
+ * Purpose: Replaces a duplicate in place with a link to the kept file
+ * Why it's needed: Moving duplicates to @duplicates breaks every application
+ * that refers to their paths; a link keeps the path working and frees the space
+ * How it works: Creates the link under a temporary name next to the duplicate
+ * and renames it over the duplicate, so the path never stops existing
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { resolveFilePath } from '../database/files.js';
+import { log } from './vars.js';
+
+// Ways a duplicate can be replaced, for --replace-with and the web API
+export const REPLACE_MODES = ['hardlink', 'symlink', 'reflink'];
+
+// Error codes meaning the filesystem can't share data between the two paths
+const CROSS_DEVICE_ERRORS = ['EXDEV'];
+const UNSUPPORTED_ERRORS = ['ENOTSUP', 'EOPNOTSUPP', 'ENOSYS', 'EINVAL', 'EXDEV'];
+
+// What to try next when a mode doesn't work for a pair of files
+const FALLBACKS = {
+    reflink: 'hardlink',
+    hardlink: 'symlink'
+};
+
+/**
+ * getTempPath - A free name next to a file for building its replacement
+ * Why it's needed: The replacement is renamed over the file, and a rename is
+ * only atomic within one directory
+ * @param {string} targetPath - Absolute path of the file to replace
+ * @return {string} - Hidden temporary path in the same directory
+ */
+export function getTempPath(targetPath) {
+    return path.join(path.dirname(targetPath),
+        `.${path.basename(targetPath)}.dedupe-${crypto.randomBytes(4).toString('hex')}.tmp`);
+}
+
+/**
+ * createLink - Creates one kind of link to the kept file at a temporary path
+ * @param {string} mode - 'hardlink', 'symlink' or 'reflink'
+ * @param {string} sourcePath - Absolute path of the kept file
+ * @param {string} tempPath - Where to create the link
+ */
+async function createLink(mode, sourcePath, tempPath) {
+    switch (mode) {
+        case 'hardlink':
+            return fs.promises.link(sourcePath, tempPath);
+        case 'symlink':
+            // Relative, so the link survives moving the tree that holds both files
+            return fs.promises.symlink(path.relative(path.dirname(tempPath), sourcePath), tempPath);
+        case 'reflink':
+            // Fails instead of silently copying when the filesystem can't share extents
+            return fs.promises.copyFile(sourcePath, tempPath, fs.constants.COPYFILE_FICLONE_FORCE);
+        default:
+            throw new Error(`Unknown replace mode '${mode}'. Use one of: ${REPLACE_MODES.join(', ')}`);
+    }
+}
+
+/**
+ * canFallBack - Tells whether a failed mode should give way to the next one
+ * @param {string} mode - The mode that failed
+ * @param {Error} error - The error it failed with
+ * @return {boolean} - True if the error means the mode can't work for these files
+ */
+function canFallBack(mode, error) {
+    if (!FALLBACKS[mode]) return false;
+    return mode === 'reflink' ? UNSUPPORTED_ERRORS.includes(error.code) : CROSS_DEVICE_ERRORS.includes(error.code);
+}
+
+/**
+ * replaceWithLink - Replaces a duplicate with a link to the kept file
+ * Why it's needed: Used by --replace-with and the web interface's per-set action
+ * How it works:
+ * 1. Creates the requested link under a temporary name in the duplicate's directory
+ * 2. Falls back with a warning from reflink to hardlink when reflinks aren't
+ *    supported, and from hardlink to symlink when the files are on different devices
+ * 3. Renames the link over the duplicate, which replaces it atomically
+ * 4. Removes the temporary link if anything fails, leaving the duplicate untouched
+ * @param {object} original - Record of the kept file with path and root
+ * @param {object} duplicate - Record of the file to replace
+ * @param {string} mode - 'hardlink', 'symlink' or 'reflink'
+ * @return {Promise<string>} - The mode actually used
+ */
+export async function replaceWithLink(original, duplicate, mode) {
+    const sourcePath = resolveFilePath(original);
+    const targetPath = resolveFilePath(duplicate);
+    const tempPath = getTempPath(targetPath);
+
+    let used = mode;
+    for (;;) {
+        try {
+            await createLink(used, sourcePath, tempPath);
+            break;
+        } catch (error) {
+            if (!canFallBack(used, error)) throw error;
+            log.warning(`Can't ${used} ${duplicate.path} (${error.code}); using a ${FALLBACKS[used]} instead`);
+            used = FALLBACKS[used];
+        }
+    }
+
+    try {
+        await fs.promises.rename(tempPath, targetPath);
+    } catch (error) {
+        await fs.promises.unlink(tempPath).catch(() => {});
+        throw error;
+    }
+    return used;
+}
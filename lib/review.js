@@ -0,0 +1,327 @@
+/**
+ * Review Module
+ * Purpose: Steps through duplicate sets in the terminal so each can be decided by hand
+ * Why it's needed: Auto-remove decides every set by rule, and deciding per set
+ * otherwise needs the web interface
+ * How it works: 'dedupe review' shows the sets with the most wasted space first, with
+ * size, mtime and path of each copy, and reads single keystrokes:
+ *   1-9     select the copy to keep
+ *   n, p    show the next or previous nine copies of a set with more than nine
+ *   enter   keep the selected copy and go to the next set
+ *   s       skip the set for now
+ *   i       ignore the set for good (also in auto-remove and plans)
+ *   a       keep the selected copy's directory in this and every remaining set
+ *           spread over the same directories
+ *   q       stop reviewing
+ * Nothing is moved or ignored until the review ends and the decisions are confirmed;
+ * the removals then run as one batch that 'dedupe undo' can reverse.
+ */
+
+import readline from 'readline';
+import path from 'path';
+import chalk from 'chalk';
+import { getDuplicates, getFilesByHash, resolveFilePath } from '../database/files.js';
+import { getIgnoredHashes, ignoreSet } from '../database/ignored-sets.js';
+import { log, verifyCopies } from './vars.js';
+import { planDuplicateSet, physicalKey, isArchived } from './duplicate-sets.js';
+import { verifyDuplicate } from './verify.js';
+import { createBatchId, removeDuplicate } from './journal.js';
+import { describeAction } from './plan.js';
+
+// Copies shown per page, so each can be selected with a single digit
+const PAGE_SIZE = 9;
+
+/**
+ * formatSize - Converts bytes to a human-readable format
+ * Why it's needed: Makes file sizes more readable
+ * How it works: Divides by appropriate units and adds suffixes
+ * @param {number} bytes - The size in bytes
+ * @return {string} - Formatted size with units
+ */
+function formatSize(bytes) {
+    if (bytes === 0) return '0 Bytes';
+
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(1024));
+
+    return parseFloat((bytes / Math.pow(1024, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+/**
+ * formatMtime - Formats a stored mtime as local 'YYYY-MM-DD hh:mm'
+ * @param {number|null} mtime - Milliseconds since the epoch, or null if unknown
+ * @return {string} - The formatted time, or dashes when unknown
+ */
+function formatMtime(mtime) {
+    if (mtime === null || mtime === undefined) return '----------------';
+    const date = new Date(mtime);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * getDirectoryKey - Identifies the directories a set's copies are spread over
+ * @param {Array<object>} files - The set's loose files
+ * @return {string} - The sorted distinct directories, joined
+ */
+function getDirectoryKey(files) {
+    return [...new Set(files.map(file => path.dirname(resolveFilePath(file))))].sort().join('\n');
+}
+
+/**
+ * buildReviewSets - Collects the sets worth reviewing, most wasted space first
+ * How it works: Leaves out ignored sets and sets where no copy could be removed
+ * @return {Array<object>} - Sets with group, files, loose, wasted, directoryKey, selected, page and decision
+ */
+function buildReviewSets() {
+    const ignored = getIgnoredHashes();
+    const sets = [];
+    for (const group of getDuplicates.all()) {
+        if (ignored.has(group.hash)) continue;
+        const files = getFilesByHash.all(group.hash);
+        const plan = planDuplicateSet(files);
+        if (plan.removable.length === 0) continue;
+
+        const loose = files.filter(file => !isArchived(file));
+        sets.push({
+            group,
+            files,
+            loose,
+            wasted: group.size * (group.copies - 1),
+            directoryKey: getDirectoryKey(loose),
+            suggestedBy: plan.rule,
+            selected: plan.original,
+            page: 0,
+            decision: null
+        });
+    }
+    return sets.sort((a, b) => b.wasted - a.wasted);
+}
+
+/**
+ * renderSet - Draws one set with its copies and the keys that can be pressed
+ * @param {object} set - The set being reviewed
+ * @param {number} index - Its position in the review
+ * @param {number} total - Number of sets in the review
+ * @param {string} [message] - Note to show under the set
+ */
+function renderSet(set, index, total, message) {
+    const plan = planDuplicateSet(set.files, set.selected);
+
+    console.clear();
+    console.log(chalk.green(`Set ${index + 1}/${total} - ${formatSize(set.group.size)} each - Wasted: ${formatSize(set.wasted)}`) +
+        chalk.gray(` - suggested by: ${set.suggestedBy}`));
+    console.log(chalk.gray('─'.repeat(80)));
+
+    const first = set.page * PAGE_SIZE;
+    set.loose.slice(first, first + PAGE_SIZE).forEach((file, position) => {
+        const key = `${position + 1})`;
+        let marker = chalk.red('✗ DUPE');
+        if (file === plan.original) marker = chalk.green('✓ KEEP');
+        else if (plan.linked.includes(file)) marker = chalk.blue('⇔ LINK');
+        else if (plan.protected.includes(file)) marker = chalk.cyan('⊘ PROT');
+        console.log(`${key} ${marker}  ${formatSize(file.size).padStart(10)}  ${formatMtime(file.mtime)}  ${file.path}`);
+    });
+    const pages = Math.ceil(set.loose.length / PAGE_SIZE);
+    if (pages > 1) {
+        console.log(chalk.gray(`   Copies ${first + 1}-${Math.min(first + PAGE_SIZE, set.loose.length)} of ${set.loose.length}` +
+            ` (page ${set.page + 1}/${pages}, [n] next, [p] previous)`));
+    }
+    plan.archived.forEach(file => console.log(`   ${chalk.magenta('▣ ARCH')}  ${formatSize(file.size).padStart(10)}  ${' '.repeat(16)}  ${file.path}`));
+
+    console.log(chalk.gray('─'.repeat(80)));
+    console.log(chalk.gray('[1-9] select keeper  [enter] keep selected  [s] skip  [i] ignore for good'));
+    console.log(chalk.gray('[a] keep this directory in all sets over the same directories  [q] finish'));
+    if (message) console.log(chalk.yellow(message));
+}
+
+/**
+ * readKey - Waits for a single keystroke
+ * @return {Promise<object>} - Object with str (the character) and key (readline key info)
+ */
+function readKey() {
+    return new Promise(resolve => {
+        process.stdin.once('keypress', (str, key = {}) => resolve({ str, key }));
+    });
+}
+
+/**
+ * applyToDirectoryPair - Keeps the copy in the same directory in every remaining matching set
+ * Why it's needed: Two folders that share many files usually call for the same decision
+ * @param {Array<object>} sets - All sets of the review
+ * @param {number} index - Position of the set the choice was made in
+ * @return {number} - Number of further sets decided
+ */
+function applyToDirectoryPair(sets, index) {
+    const current = sets[index];
+    const keptDir = path.dirname(resolveFilePath(current.selected));
+    let applied = 0;
+
+    for (const set of sets.slice(index + 1)) {
+        if (set.decision || set.directoryKey !== current.directoryKey) continue;
+        const inKeptDir = set.loose.filter(file => path.dirname(resolveFilePath(file)) === keptDir);
+        // A set with several copies in that directory still needs a decision by hand
+        if (inKeptDir.length !== 1) continue;
+        set.selected = inKeptDir[0];
+        set.decision = 'keep';
+        applied++;
+    }
+    return applied;
+}
+
+/**
+ * collectDecisions - Walks the user through the sets
+ * @param {Array<object>} sets - Sets to review; their decision fields are filled in
+ * @return {Promise<boolean>} - False if the review was aborted with Ctrl-C
+ */
+async function collectDecisions(sets) {
+    let index = 0;
+    let message = '';
+    while (index < sets.length) {
+        const set = sets[index];
+        if (set.decision) {
+            index++;
+            continue;
+        }
+
+        renderSet(set, index, sets.length, message);
+        message = '';
+        const { str, key } = await readKey();
+
+        if (key.ctrl && key.name === 'c') return false;
+        if (key.name === 'return' || key.name === 'enter') {
+            set.decision = 'keep';
+        } else if (str === 's') {
+            set.decision = 'skip';
+        } else if (str === 'i') {
+            set.decision = 'ignore';
+        } else if (str === 'a') {
+            set.decision = 'keep';
+            const applied = applyToDirectoryPair(sets, index);
+            message = `Kept ${path.dirname(set.selected.path)} in ${applied} more sets`;
+        } else if (str === 'q') {
+            break;
+        } else if (str === 'n' || str === 'p') {
+            const pages = Math.ceil(set.loose.length / PAGE_SIZE);
+            set.page = (set.page + (str === 'n' ? 1 : pages - 1)) % pages;
+            continue;
+        } else if (/^[1-9]$/.test(str ?? '') && set.page * PAGE_SIZE + Number(str) <= set.loose.length) {
+            set.selected = set.loose[set.page * PAGE_SIZE + Number(str) - 1];
+            continue;
+        } else {
+            continue;
+        }
+        index++;
+    }
+    return true;
+}
+
+/**
+ * applyDecisions - Removes the copies the review decided against
+ * How it works: Verifies each copy against its kept file unless --no-verify is set,
+ * then acts on it under one journal batch
+ * @param {Array<object>} decided - Sets with decision 'keep'
+ * @param {string} action - 'move', 'trash' or a replace mode
+ * @return {Promise<object>} - Object with filesRemoved, spaceFreed, skipped, failed and batch
+ */
+async function applyDecisions(decided, action) {
+    const batch = createBatchId();
+    const skipped = [];
+    const failed = [];
+    let filesRemoved = 0;
+    let spaceFreed = 0;
+
+    for (const set of decided) {
+        const { original, removable } = planDuplicateSet(set.files, set.selected);
+        const freedKeys = new Set();
+        for (const file of removable) {
+            const mismatch = verifyCopies ? await verifyDuplicate(original, file) : null;
+            if (mismatch) {
+                log.warning(`Skipped ${file.path}: ${mismatch}`);
+                skipped.push({ path: file.path, reason: mismatch });
+                continue;
+            }
+            try {
+                const used = await removeDuplicate(action, original, file, batch);
+                log.success(`${describeAction(used)}: ${file.path} (${formatSize(file.size)})`);
+                filesRemoved++;
+                if (!freedKeys.has(physicalKey(file))) {
+                    freedKeys.add(physicalKey(file));
+                    spaceFreed += file.size;
+                }
+            } catch (error) {
+                log.error(`Failed on ${file.path}: ${error.message}`);
+                failed.push({ path: file.path, reason: error.message });
+            }
+        }
+    }
+
+    return { filesRemoved, spaceFreed, skipped, failed, batch: filesRemoved > 0 ? batch : null };
+}
+
+/**
+ * reviewDuplicates - Runs the interactive review
+ * Why it's needed: Entry point of 'dedupe review'
+ * How it works:
+ * 1. Switches the terminal to raw mode to read single keystrokes
+ * 2. Collects a decision per set, then restores the terminal
+ * 3. Shows what would be removed and ignored, and asks for confirmation before
+ *    saving the ignored sets and acting on the rest
+ * @param {string} action - 'move', 'trash' or a replace mode for the removed copies
+ * @return {Promise<object|null>} - Result of applyDecisions, or null if nothing was applied
+ */
+export async function reviewDuplicates(action) {
+    const sets = buildReviewSets();
+    if (sets.length === 0) {
+        log.info('No duplicate sets to review.');
+        return null;
+    }
+
+    readline.emitKeypressEvents(process.stdin);
+    process.stdin.setRawMode(true);
+    process.stdin.resume();
+    try {
+        if (!await collectDecisions(sets)) {
+            console.log();
+            log.warning('Review aborted; nothing was changed.');
+            return null;
+        }
+
+        const decided = sets.filter(set => set.decision === 'keep');
+        const ignored = sets.filter(set => set.decision === 'ignore');
+        const removable = decided.map(set => planDuplicateSet(set.files, set.selected));
+        const files = removable.reduce((total, plan) => total + plan.removable.length, 0);
+        const space = removable.reduce((total, plan) => total + plan.spaceFreed, 0);
+
+        console.clear();
+        log.info(`Reviewed ${sets.filter(set => set.decision).length} of ${sets.length} sets`);
+        if (files === 0 && ignored.length === 0) {
+            log.info('Nothing to change.');
+            return null;
+        }
+
+        const changes = [];
+        if (files > 0) changes.push(`${describeAction(action)} ${files} files from ${decided.length} sets (${formatSize(space)})`);
+        if (ignored.length > 0) changes.push(`ignore ${ignored.length} sets from now on`);
+        const question = changes.join(' and ');
+        process.stdout.write(chalk.yellow(`${question[0].toUpperCase()}${question.slice(1)}? [y/N] `));
+        const { str } = await readKey();
+        console.log(str === 'y' ? 'y' : 'n');
+        if (str !== 'y') {
+            log.info('Nothing was changed.');
+            return null;
+        }
+    } finally {
+        process.stdin.setRawMode(false);
+        process.stdin.pause();
+    }
+
+    const ignored = sets.filter(set => set.decision === 'ignore');
+    ignored.forEach(set => ignoreSet(set.group.hash));
+    if (ignored.length > 0) {
+        log.success(`Ignoring ${ignored.length} duplicate sets from now on`);
+    }
+
+    const decided = sets.filter(set => set.decision === 'keep');
+    return decided.length > 0 ? applyDecisions(decided, action) : null;
+}
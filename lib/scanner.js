@@ -1,28 +1,135 @@
 import fs from 'fs';
 import path from 'path';
 import crypto from 'crypto';
-import { insertFile, db, getFileById } from '../database/files.js';
-import { targetDir, baseDir, log, targetDirName, dbExists, debugMode } from './vars.js';
+import {
+    insertFile, db, getFileById, FILE_STAGES, resolveFilePath,
+    getSizeCandidates, getPartialCandidates, updatePartialHash, updateFullHash,
+    markFileModified, updateFileSignature, resetAllHashes, updateFileId, countFilesInRoot,
+    excludeEmptyFiles, includeEmptyFiles
+} from '../database/files.js';
+import {
+    targetDir, baseDir, log, targetDirName, dbExists, debugMode, hashJobs, requestedAlgorithm,
+    includePatterns, excludePatterns, followSymlinks, removeFromRoots, quarantineDir,
+    minSizeOption, maxSizeOption, extensions, excludeExtensions, includeEmptyFiles as includeEmpty,
+    similarImages, similarText, archives
+} from './vars.js';
 import { ProgressTracker } from './progress.js';
-import { setStartTime, setEndTime, setTargetDirectory, setBasePath } from '../database/meta.js';
+import { HashPool } from './hash-pool.js';
+import { PathFilter, parseSize } from './filter.js';
+import { computeDirectoryHashes } from './directory-sets.js';
+import { ERROR_PHASES, recordError, clearErrors, countErrors } from '../database/errors.js';
+import { SCAN_STATUS, startScan, checkpointScan, finishScan, getLastScan } from '../database/scans.js';
+import { getImagesToHash, saveImageHash, removeOrphanImageHashes } from '../database/images.js';
+import { getTextFilesToSign, saveTextSignature, removeOrphanTextSignatures } from '../database/text-signatures.js';
+import { getArchivesToRead, saveArchiveEntries, removeOrphanArchiveEntries, clearArchiveEntries } from '../database/archives.js';
+import { ARCHIVE_SEPARATOR } from './archive-reader.js';
+import {
+    hashFile, hashFilePartial, PARTIAL_BLOCK_SIZE,
+    DEFAULT_ALGORITHM, LEGACY_ALGORITHM, isSupportedAlgorithm
+} from './hasher.js';
+import {
+    setStartTime, setEndTime, setTargetDirectory, setBasePath, getHashAlgorithm, setHashAlgorithm,
+    getFilterRules, setFilterRules, setScanRoots, getQuarantineDirs
+} from '../database/meta.js';
+
+// Hash functions live in hasher.js so worker threads can load them without the database
+export { hashFile, hashFilePartial, PARTIAL_BLOCK_SIZE };
+
+// Algorithm used for path IDs and content hashes in the open database
+let activeAlgorithm = getStoredAlgorithm() || DEFAULT_ALGORITHM;
+
+/**
+ * getStoredAlgorithm - Finds the hash algorithm the open database was built with
+ * Why it's needed: Digests from different algorithms must never be compared
+ * How it works: Reads the recorded algorithm; databases that hold files but
+ * predate the setting were built with MD5
+ * @return {string|null} - The algorithm name, or null for an empty database
+ */
+function getStoredAlgorithm() {
+    const stored = getHashAlgorithm();
+    if (stored) return stored;
+
+    const { count } = db.prepare('SELECT COUNT(*) as count FROM files').get();
+    return count > 0 ? LEGACY_ALGORITHM : null;
+}
+
+/**
+ * prepareHashAlgorithm - Settles which algorithm this scan uses
+ * Why it's needed: Switching algorithms on an existing index would mix digests
+ * How it works:
+ * 1. Uses --algorithm if given, otherwise keeps the database's algorithm
+ * 2. Rejects names Node's crypto doesn't offer
+ * 3. Migrates the index when the database was built with another algorithm
+ * 4. Records the algorithm in the metadata table
+ */
+function prepareHashAlgorithm() {
+    const stored = getStoredAlgorithm();
+    const algorithm = requestedAlgorithm || stored || DEFAULT_ALGORITHM;
+
+    if (!isSupportedAlgorithm(algorithm)) {
+        throw new Error(`Unsupported hash algorithm '${algorithm}'. Choose one of: ${crypto.getHashes().join(', ')}`);
+    }
+
+    activeAlgorithm = algorithm;
+    if (stored && stored !== algorithm) {
+        log.warning(`Database was built with ${stored}; rehashing all files with ${algorithm}`);
+        db.transaction(() => {
+            clearArchiveEntries();
+            resetAllHashes.run();
+            rekeyFiles();
+        })();
+    }
+
+    setHashAlgorithm(algorithm);
+    if (debugMode) log.debug(`Using hash algorithm: ${algorithm}`);
+}
+
+/**
+ * rekeyFiles - Recomputes every path ID in the index
+ * Why it's needed: IDs depend on the hash algorithm and on the absolute file path
+ * How it works: Hashes each file's absolute path again; callers wrap it in a transaction
+ */
+function rekeyFiles() {
+    const files = db.prepare('SELECT id, path, root FROM files').all();
+    for (const file of files) {
+        updateFileId.run({ id: file.id, newId: parseFilePath(resolveFilePath(file)).id });
+    }
+}
+
+/**
+ * adoptLegacyFiles - Assigns files indexed before multiple roots existed to a root
+ * Why it's needed: Older databases stored one target per database, so every
+ * file belongs to the directory the database is named after
+ * How it works: Fills in the root and recomputes IDs from absolute paths
+ */
+function adoptLegacyFiles() {
+    const { count } = db.prepare('SELECT COUNT(*) as count FROM files WHERE root IS NULL').get();
+    if (count === 0) return;
+
+    log.info(`Assigning ${count} previously indexed files to ${targetDir}`);
+    db.transaction(() => {
+        db.prepare('UPDATE files SET root = ? WHERE root IS NULL').run(targetDir);
+        rekeyFiles();
+    })();
+}
 
 /**
  * hashPath - Creates a unique hash for a file path
  * Why it's needed: Used as the primary key for file records in the database
- * How it works: Creates an MD5 hash of the file path string
+ * How it works: Hashes the file path string with the active algorithm
  * @param {string} filePath - The file path to hash
- * @return {string} - The MD5 hash of the path
+ * @return {string} - The hex digest of the path
  */
 export function hashPath(filePath) {
     // Don't log each path hash creation
-    return crypto.createHash('md5').update(filePath).digest('hex');
+    return crypto.createHash(activeAlgorithm).update(filePath).digest('hex');
 }
 
 /**
  * parseFilePath - Extracts and normalizes path components
  * Why it's needed: Ensures consistent path format and creates a unique ID
  * How it works: Splits path into components and creates a path hash
- * @param {string} filePath - The file path to parse
+ * @param {string} filePath - The absolute file path to parse
  * @return {object} - Object with id, filename, and directory
  */
 export function parseFilePath(filePath) {
@@ -39,106 +146,118 @@ export function parseFilePath(filePath) {
 }
 
 /**
- * hashFile - Calculates the content hash of a file
- * Why it's needed: Used to identify duplicate files with identical content
- * How it works: Reads the file in chunks and updates a hash object
- * @param {string} filePath - Path to the file to hash
- * @return {Promise<string>} - Promise resolving to the file's MD5 hash
+ * getStatSignature - Extracts the stat fields used to detect modified files
+ * Why it's needed: A file edited in place keeps its path but changes these values
+ * How it works: Picks size, whole-millisecond mtime, inode and device from a stat result
+ * @param {fs.Stats} stat - The stat result for the file
+ * @return {object} - Object with size, mtime, inode and device
  */
-export function hashFile(filePath) {
-    // Don't log each file hash calculation
-    return new Promise((resolve, reject) => {
-        const hash = crypto.createHash("md5");
-        const fileName = path.basename(filePath);
-        let bytesRead = 0;
-
-        const stream = fs.createReadStream(filePath);
-
-        stream.on("data", (chunk) => {
-            bytesRead += chunk.length;
-            hash.update(chunk);
-        });
-
-        stream.on("end", () => {
-            const hashResult = hash.digest("hex");
-            // Don't log each completed hash
-            resolve(hashResult);
-        });
-
-        stream.on("error", (err) => {
-            // Keep error logging as it's important for troubleshooting
-            if (debugMode) log.debug(`Error hashing file: ${filePath} - ${err.message}`);
-            reject(err);
-        });
-    });
+function getStatSignature(stat) {
+    return {
+        size: stat.size,
+        mtime: Math.floor(stat.mtimeMs),
+        inode: stat.ino,
+        device: stat.dev
+    };
 }
 
 /**
- * getFileSize - Gets the size of a file in bytes
- * Why it's needed: Stores file size information for analysis
- * How it works: Uses fs.statSync to get file information including size
- * @param {string} filePath - Path to the file
- * @return {number} - File size in bytes
+ * statEntry - Stats a directory entry without following symlinks unless asked to
+ * Why it's needed: A followed symlink indexes another tree's files as if they lived here
+ * How it works: Uses lstat; symlinks are skipped, or resolved with stat when
+ * --follow-symlinks is set (broken links are skipped)
+ * @param {string} fullPath - Path of the entry
+ * @return {Promise<fs.Stats|null>} - Stats of the entry or its link target, or null to skip it
  */
-function getFileSize(filePath) {
+async function statEntry(fullPath) {
+    const stat = await fs.promises.lstat(fullPath);
+    if (!stat.isSymbolicLink()) {
+        return stat;
+    }
+    
+    if (!followSymlinks) {
+        if (debugMode) log.debug(`Skipping symlink: ${fullPath}`);
+        return null;
+    }
+    
     try {
-        const stats = fs.statSync(filePath);
-        return stats.size;
+        return await fs.promises.stat(fullPath);
     } catch (error) {
-        if (debugMode) log.debug(`Error getting file size for ${filePath}: ${error.message}`);
-        return 0;
+        if (debugMode) log.debug(`Skipping broken symlink: ${fullPath} - ${error.message}`);
+        return null;
     }
 }
 
 /**
- * countFiles - Recursively counts files in a directory
- * Why it's needed: Used to initialize the progress tracker with total count
- * How it works: Recursively traverses directories and counts non-directory files
- * @param {string} dir - The directory to count files in
- * @return {number} - The total number of files found
+ * isStillIndexable - Checks whether an indexed path would still be indexed by a scan
+ * Why it's needed: A duplicate replaced with a symlink (--replace-with symlink) still
+ * exists, but the scan skips symlinks unless --follow-symlinks is set
+ * @param {string} fullPath - Path of the indexed file
+ * @return {boolean} - True if the path exists and isn't a symlink the scan would skip
  */
-function countFiles(dir) {
-    // Only log at the top level call, not in recursive calls
-    if (debugMode && dir === targetDir) {
-        log.debug(`Counting files in directory tree starting at: ${dir}`);
+function isStillIndexable(fullPath) {
+    try {
+        return followSymlinks ? fs.existsSync(fullPath) : !fs.lstatSync(fullPath).isSymbolicLink();
+    } catch {
+        return false;
     }
+}
+
+/**
+ * recordScanError - Stores a per-path failure so the scan can carry on
+ * Why it's needed: Unreadable files, permission-denied directories and files
+ * that vanish mid-hash used to abort the whole scan
+ * How it works: Writes the path, phase and error code to the errors table
+ * @param {string} fullPath - Path that failed
+ * @param {string} phase - One of ERROR_PHASES
+ * @param {Error} error - The error that was thrown
+ */
+function recordScanError(fullPath, phase, error) {
+    if (debugMode) log.debug(`${phase} failed for ${fullPath}: ${error.code || error.message}`);
+    recordError(fullPath, phase, error);
+}
+
+/**
+ * enterDirectory - Marks a directory as visited by the current walk
+ * Why it's needed: A followed symlink can point back at an ancestor and recurse forever
+ * How it works: Remembers each directory by device and inode and refuses repeats
+ * @param {string} dir - The directory about to be walked
+ * @param {Set<string>} visited - Directories already walked
+ * @return {Promise<boolean>} - True if the directory hasn't been walked yet
+ */
+async function enterDirectory(dir, visited) {
+    const stat = await fs.promises.stat(dir);
+    const key = `${stat.dev}:${stat.ino}`;
     
-    let count = 0;
-    const files = fs.readdirSync(dir);
-    
-    for (const file of files) {
-        const fullPath = path.join(dir, file);
-        const stat = fs.statSync(fullPath);
-        
-        if (stat.isDirectory()) {
-            count += countFiles(fullPath);
-        } else {
-            count++;
-        }
+    if (visited.has(key)) {
+        if (debugMode) log.debug(`Skipping directory already walked (symlink loop?): ${dir}`);
+        return false;
     }
     
-    // Only log the final count at the top level
-    if (debugMode && dir === targetDir) {
-        log.debug(`Found ${count} total files in directory tree`);
-    }
-    return count;
+    visited.add(key);
+    return true;
 }
 
 /**
  * displayFileChangesTable - Displays a table with file changes information
  * Why it's needed: Provides a clearer visual summary of changes during scan
- * How it works: Creates a table with information about removed and added files
+ * How it works: Creates a table with information about added, modified and removed files
  * @param {number} removedCount - Number of files removed
  * @param {number} removedSize - Size of removed files in bytes
  * @param {number} addedCount - Number of files added
  * @param {number} addedSize - Size of added files in bytes
+ * @param {number} modifiedCount - Number of files modified since the last scan
+ * @param {number} modifiedSize - Current size of modified files in bytes
+ * @param {number} errorCount - Number of paths that could not be read
  */
-function displayFileChangesTable(removedCount, removedSize, addedCount, addedSize) {
+function displayFileChangesTable(removedCount, removedSize, addedCount, addedSize, modifiedCount, modifiedSize, errorCount) {
     console.log('\n┌─────────────┬───────────┬────────────────┐');
     console.log('│ Change Type │ Count     │ Size           │');
     console.log('├─────────────┼───────────┼────────────────┤');
     console.log(`│ Added       │ ${padRight(addedCount, 9)} │ ${padRight(formatSize(addedSize), 14)} │`);
+    console.log(`│ Modified    │ ${padRight(modifiedCount, 9)} │ ${padRight(formatSize(modifiedSize), 14)} │`);
     console.log(`│ Removed     │ ${padRight(removedCount, 9)} │ ${padRight(formatSize(removedSize), 14)} │`);
+    console.log(`│ Errors      │ ${padRight(errorCount, 9)} │ ${padRight('-', 14)} │`);
     console.log('└─────────────┴───────────┴────────────────┘');
 }
 
@@ -158,18 +277,21 @@ function padRight(value, length) {
 /**
  * cleanupMissingFiles - Removes database entries for files that no longer exist
  * Why it's needed: To clean up the database when files are deleted from disk
+ * or are no longer covered by the filter rules
  * How it works: Queries all files from database and checks if they exist on disk
- * @param {ProgressTracker} progress - The progress tracker instance
+ * and pass the filter
+ * @param {Map<string, PathFilter>} filters - Filter for each root being scanned;
+ * files of other roots are only checked for existence
  * @return {object} - Object with removedCount and totalSize
  */
-async function cleanupMissingFiles(progress) {
+async function cleanupMissingFiles(filters) {
     if (debugMode) log.debug('Starting cleanup of missing files');
     // Get all files from the database
-    const allFiles = db.prepare('SELECT id, path, size FROM files').all();
+    // Archive members go with their archive and are never looked for on disk
+    const allFiles = db.prepare('SELECT id, path, size, root FROM files WHERE archive IS NULL').all();
     let removedCount = 0;
     let totalSize = 0;
     
-    // Log this message BEFORE the progress bar starts displaying
     if (allFiles.length > 0) {
         log.info(`Checking ${allFiles.length} existing files for changes...`);
     }
@@ -181,13 +303,13 @@ async function cleanupMissingFiles(progress) {
     const transaction = db.transaction(() => {
         if (debugMode) log.debug(`Starting transaction for checking ${allFiles.length} files for existence`);
         for (const file of allFiles) {
-            const fullPath = path.join(baseDir, file.path);
-            if (!fs.existsSync(fullPath)) {
+            const fullPath = resolveFilePath(file);
+            const filter = filters.get(file.root);
+            if (!isStillIndexable(fullPath) || (filter && !(filter.acceptsPath(fullPath) && filter.acceptsSize(file.size)))) {
                 // Don't log each individual file removal
                 deleteFile.run(file.id);
                 removedCount++;
                 totalSize += file.size || 0; // Track total size of removed files
-                progress.incrementProcessed();
             }
         }
         if (debugMode) log.debug('Completed transaction for file cleanup');
@@ -216,144 +338,707 @@ function formatSize(bytes) {
 }
 
 /**
- * scanDirectory - Main scanning function that coordinates the process
+ * createPathFilters - Builds the filter shared by every walker of each root
+ * Why it's needed: A resumed scan must apply the same rules as the scan that
+ * built the index unless new rules are given
+ * How it works: Uses each of --include/--exclude, --ext/--exclude-ext and
+ * --min-size/--max-size when given, otherwise the rule stored in metadata, and
+ * records the result for the next run; every --quarantine directory, of this run
+ * or recorded by an earlier one, is always left out of a root it is inside
+ * @param {Array<string>} roots - The root directories being scanned
+ * @return {Map<string, PathFilter>} - The filter for each root
+ */
+function createPathFilters(roots) {
+    const stored = {
+        include: [], exclude: [], minSize: 0, maxSize: null, extensions: [], excludeExtensions: [],
+        ...getFilterRules()
+    };
+    const rules = {
+        include: includePatterns ?? stored.include,
+        exclude: excludePatterns ?? stored.exclude,
+        minSize: minSizeOption === null ? stored.minSize : parseSizeOption('--min-size', minSizeOption) ?? 0,
+        maxSize: maxSizeOption === null ? stored.maxSize : parseSizeOption('--max-size', maxSizeOption),
+        extensions: extensions ?? stored.extensions,
+        excludeExtensions: excludeExtensions ?? stored.excludeExtensions
+    };
+    
+    if (rules.maxSize !== null && rules.minSize > rules.maxSize) {
+        throw new Error(`--min-size (${formatSize(rules.minSize)}) is larger than --max-size (${formatSize(rules.maxSize)})`);
+    }
+
+    if (debugMode) log.debug(`Filter rules: ${JSON.stringify(rules)}`);
+    setFilterRules(rules);
+    return new Map(roots.map(root => [root, new PathFilter(root, {
+        ...rules,
+        exclude: [...rules.exclude, ...getQuarantineExcludes(root)]
+    })]));
+}
+
+/**
+ * getQuarantineExcludes - Exclude rules keeping quarantine directories out of a root
+ * How it works: Covers the --quarantine directory of this run and every one copies
+ * were moved to before, since scans run without --quarantine too
+ * @param {string} root - The root directory
+ * @return {Array<string>} - An anchored pattern for each quarantine directory inside the root
+ */
+function getQuarantineExcludes(root) {
+    const dirs = new Set([quarantineDir, ...getQuarantineDirs()].filter(Boolean));
+    return [...dirs].flatMap(dir => {
+        const relative = path.relative(root, dir);
+        if (!relative || relative === '..' || relative.startsWith('..' + path.sep) || path.isAbsolute(relative)) return [];
+        return [`/${relative.split(path.sep).join('/')}/`];
+    });
+}
+
+/**
+ * parseSizeOption - Validates a --min-size or --max-size value
+ * @param {string} name - The option, for the error message
+ * @param {string} value - The value as typed
+ * @return {number|null} - Size in bytes, or null for an empty value (no limit)
+ */
+function parseSizeOption(name, value) {
+    if (value.trim() === '') return null;
+    
+    const size = parseSize(value);
+    if (Number.isNaN(size)) {
+        throw new Error(`Invalid ${name} value '${value}'. Use a number of bytes or a size such as 10K, 1.5MB or 2G`);
+    }
+    return size;
+}
+
+/**
+ * applyEmptyFilePolicy - Moves zero-byte files in or out of duplicate detection
+ * Why it's needed: Every empty file has the same content hash, so unrelated lock
+ * and placeholder files would form one huge duplicate set
+ * How it works: Marks indexed empty files with the 'empty' stage, or returns
+ * them to the 'size' stage when --include-empty is set
+ */
+function applyEmptyFilePolicy() {
+    const result = includeEmpty ? includeEmptyFiles.run() : excludeEmptyFiles.run();
+    if (debugMode && result.changes > 0) {
+        log.debug(`${includeEmpty ? 'Included' : 'Excluded'} ${result.changes} empty files ${includeEmpty ? 'in' : 'from'} duplicate detection`);
+    }
+}
+
+/**
+ * applyArchivePolicy - Drops indexed archive members when --archives is not set
+ * Why it's needed: Members only take part in duplicate detection while the
+ * mode is on; the next scan with --archives reads the archives again
+ */
+function applyArchivePolicy() {
+    if (archives) return;
+
+    const removed = clearArchiveEntries();
+    if (debugMode && removed > 0) log.debug(`Removed ${removed} archive members from the index`);
+}
+
+/**
+ * getInitialStage - The stage a newly indexed or modified file starts in
+ * @param {number} size - File size in bytes
+ * @return {string} - One of FILE_STAGES
+ */
+function getInitialStage(size) {
+    return size === 0 && !includeEmpty ? FILE_STAGES.EMPTY : FILE_STAGES.SIZE;
+}
+
+// Minimum time between checkpoint writes in milliseconds
+const CHECKPOINT_INTERVAL = 1000;
+
+// Number of directory entries read from disk at a time
+const WALK_BATCH_SIZE = 1000;
+
+// State of the scan session in progress
+let activeScan = null;
+
+/**
+ * openScanSession - Starts the scans table record for this run
+ * Why it's needed: Every run is recorded with its options, counters and
+ * checkpoint, and a run that follows an unfinished one says so
+ * How it works:
+ * 1. Looks at the most recent session; a running or interrupted one is being resumed
+ * 2. Marks that session as resumed and opens a new one that points back at it
+ * @param {Array<string>} roots - The root directories being scanned
+ * @param {Map<string, PathFilter>} filters - The filter for each root
+ * @return {object} - The session state shared by the walker and hashing stages
+ */
+function openScanSession(roots, filters) {
+    const previous = getLastScan();
+    let resumedFrom = null;
+
+    if (previous && (previous.status === SCAN_STATUS.RUNNING || previous.status === SCAN_STATUS.INTERRUPTED)) {
+        const state = previous.status === SCAN_STATUS.RUNNING ? 'unfinished' : 'interrupted';
+        const checkpoint = previous.last_directory ? ` (last completed directory: ${previous.last_directory})` : '';
+        log.info(`Resuming ${state} scan #${previous.id} started ${previous.started_at}${checkpoint}`);
+        finishScan(previous.id, SCAN_STATUS.RESUMED);
+        resumedFrom = previous.id;
+    }
+
+    const options = {
+        algorithm: activeAlgorithm,
+        jobs: hashJobs,
+        followSymlinks,
+        includeEmpty,
+        similarImages,
+        similarText,
+        archives,
+        removeFrom: removeFromRoots,
+        ...filters.get(roots[0]).toJSON()
+    };
+    const id = startScan({ roots, options, resumedFrom });
+    if (debugMode) log.debug(`Opened scan session #${id}`);
+
+    return {
+        id,
+        interrupted: false,
+        lastDirectory: null,
+        lastCheckpointAt: Date.now(),
+        filesHashed: 0,
+        totals: {
+            newFilesAdded: 0,
+            newFilesSize: 0,
+            modifiedCount: 0,
+            modifiedSize: 0,
+            removedCount: 0,
+            removedSize: 0
+        }
+    };
+}
+
+/**
+ * saveCheckpoint - Writes the session's counters and last completed directory
+ * Why it's needed: An interrupted or killed scan still shows how far it got
+ * How it works: Writes at most once per CHECKPOINT_INTERVAL unless forced
+ * @param {boolean} [force] - Write even if the last checkpoint was recent
+ */
+function saveCheckpoint(force = false) {
+    const now = Date.now();
+    if (!force && now - activeScan.lastCheckpointAt < CHECKPOINT_INTERVAL) {
+        return;
+    }
+    activeScan.lastCheckpointAt = now;
+
+    const { totals } = activeScan;
+    checkpointScan(activeScan.id, {
+        filesAdded: totals.newFilesAdded,
+        filesModified: totals.modifiedCount,
+        filesRemoved: totals.removedCount,
+        filesHashed: activeScan.filesHashed,
+        errors: countErrors()
+    }, activeScan.lastDirectory);
+}
+
+/**
+ * handleInterrupt - SIGINT handler for a running scan
+ * Why it's needed: Killing the process mid-scan used to leave no record of what finished
+ * How it works: The first Ctrl-C asks the walker and hashing stages to stop
+ * after the current file; a second one exits immediately
+ */
+function handleInterrupt() {
+    if (activeScan.interrupted) {
+        log.error('\nForced exit. The current scan session stays marked as running.');
+        process.exit(130);
+    }
+
+    activeScan.interrupted = true;
+    console.log('');
+    log.warning('Interrupt received - finishing the current file. Press Ctrl-C again to quit immediately.');
+}
+
+/**
+ * scanDirectories - Main scanning function that coordinates the process
  * Why it's needed: Entry point for scanning files and updating database
  * How it works:
- * 1. Records metadata and initializes progress
+ * 1. Settles the hash algorithm and filter rules, records metadata and opens a scan session
  * 2. Cleans up missing files if database exists
- * 3. Processes all directories and files
- * 4. Records completion time
- * @param {string} dir - The directory to scan
+ * 3. Walks every root once, indexing files as they are found
+ * 4. Hashes only the files whose size collides with another file, across all roots
+ * 5. Rebuilds the directory hashes from the file hashes
+ * 6. Records completion time and closes the session
+ * A first Ctrl-C finishes the current file, saves a checkpoint and marks the
+ * session as interrupted; a second one quits immediately.
+ * @param {Array<string>} roots - Absolute paths of the root directories to scan
+ * @return {object} - Object with the scan ID and whether it was interrupted
  */
-export async function scanDirectory(dir) {
-    if (debugMode) log.debug(`Starting scan of directory: ${dir}`);
+export async function scanDirectories(roots) {
+    if (debugMode) log.debug(`Starting scan of directories: ${roots.join(', ')}`);
     const progress = new ProgressTracker();
     
     // Record metadata about this scan
     if (debugMode) log.debug('Recording scan metadata');
+    adoptLegacyFiles();
+    prepareHashAlgorithm();
     setStartTime();
     setTargetDirectory(targetDirName);
     setBasePath(baseDir);
+    setScanRoots(roots);
+    clearErrors();
+    const filters = createPathFilters(roots);
+    applyEmptyFilePolicy();
+    applyArchivePolicy();
     
-    // First count total files and set up progress tracking
-    log.info('Counting total files...');
-    const totalFiles = countFiles(dir);
-    
-    // Initialize counters
-    let newFilesAdded = 0;
-    let newFilesSize = 0;
-    let removedCount = 0;
-    let removedSize = 0;
+    activeScan = openScanSession(roots, filters);
+    const totals = activeScan.totals;
     
-    // If database exists, we need to clean up missing files
-    if (dbExists) {
-        // Log this message BEFORE setting up progress tracking
-        log.info('Resuming scan from existing database');
-        if (debugMode) log.debug('Database exists, will check for missing files');
+    try {
+        // From here on Ctrl-C stops cleanly instead of killing the process
+        process.on('SIGINT', handleInterrupt);
         
-        // Set up progress tracking
-        progress.setTotalFiles(totalFiles + 500);
+        // If database exists, we need to clean up missing files
+        if (dbExists) {
+            log.info('Resuming scan from existing database');
+            if (debugMode) log.debug('Database exists, will check for missing files');
+            
+            // Clean up missing files
+            const cleanupResult = await cleanupMissingFiles(filters);
+            totals.removedCount = cleanupResult.removedCount;
+            totals.removedSize = cleanupResult.totalSize;
+        }
         
-        // Clean up missing files
-        const cleanupResult = await cleanupMissingFiles(progress);
-        removedCount = cleanupResult.removedCount;
-        removedSize = cleanupResult.totalSize;
-    } else {
-        if (debugMode) log.debug('New database, setting up progress tracking');
-        progress.setTotalFiles(totalFiles);
+        // The files still indexed are the best guess at what the walk will find;
+        // the total grows past it as directories turn up more files
+        const indexedFiles = roots.reduce((total, root) => total + countFilesInRoot.get(root).count, 0);
+        if (debugMode) log.debug(`Estimating ${indexedFiles} files from the existing index`);
+        progress.setEstimatedTotal(indexedFiles);
+        
+        // Walk every root once, indexing files as they are found
+        // Walkers share one visited set so overlapping roots are only walked once
+        if (debugMode) log.debug('Starting to process files');
+        const visited = new Set();
+        for (const root of roots) {
+            if (activeScan.interrupted) break;
+            await processDirectory(root, progress, filters.get(root), visited, totals);
+        }
+        
+        // Narrow size collisions down to confirmed duplicates
+        let stats = null;
+        if (!activeScan.interrupted) {
+            stats = progress.complete();
+            if (debugMode) log.debug('Resolving duplicate candidates');
+            await resolveCandidates(filters);
+        }
+        
+        if (activeScan.interrupted) {
+            saveCheckpoint(true);
+            finishScan(activeScan.id, SCAN_STATUS.INTERRUPTED);
+            log.warning(`Scan #${activeScan.id} interrupted. Progress is saved; run the same command again to resume.`);
+            return { scanId: activeScan.id, interrupted: true };
+        }
+        
+        // Directory hashes depend on every file below them, so they come last
+        const directoryCount = computeDirectoryHashes(activeAlgorithm);
+        if (debugMode) log.debug(`Hashed ${directoryCount} directories`);
+        
+        // Record end time
+        if (debugMode) log.debug('Recording scan end time');
+        setEndTime();
+        saveCheckpoint(true);
+        finishScan(activeScan.id, SCAN_STATUS.COMPLETED);
+        
+        // Calculate total size of all files
+        const totalSizeResult = db.prepare('SELECT SUM(size) as totalSize FROM files WHERE archive IS NULL').get();
+        const totalSize = totalSizeResult.totalSize || 0;
+        const formattedSize = formatSize(totalSize);
+        
+        // Ensure a newline before the success messages
+        console.log('');
+        log.success(`Scan completed in ${stats.totalTime.toFixed(1)} seconds (${stats.averageSpeed.toFixed(1)} files/second)`);
+        log.success(`Total data indexed: ${formattedSize} in ${stats.totalFiles} files`);
+        
+        // Display file changes table
+        const errorCount = countErrors();
+        displayFileChangesTable(totals.removedCount, totals.removedSize, totals.newFilesAdded, totals.newFilesSize,
+            totals.modifiedCount, totals.modifiedSize, errorCount);
+        if (errorCount > 0) {
+            log.warning(`${errorCount} paths could not be read. Use 'dedupe report --show-errors' to list them.`);
+        }
+        
+        return { scanId: activeScan.id, interrupted: false };
+    } catch (error) {
+        finishScan(activeScan.id, SCAN_STATUS.FAILED);
+        throw error;
+    } finally {
+        process.off('SIGINT', handleInterrupt);
     }
-    
-    // Process all files - now tracking new files
-    if (debugMode) log.debug('Starting to process files');
-    const processResult = await processDirectory(dir, progress);
-    newFilesAdded = processResult.newFilesAdded;
-    newFilesSize = processResult.newFilesSize;
-    
-    // Record end time
-    if (debugMode) log.debug('Recording scan end time');
-    setEndTime();
-    
-    // Calculate total size of all files
-    const totalSizeResult = db.prepare('SELECT SUM(size) as totalSize FROM files').get();
-    const totalSize = totalSizeResult.totalSize || 0;
-    const formattedSize = formatSize(totalSize);
-    
-    const stats = progress.complete();
-    
-    // Ensure a newline before the success messages
-    console.log('');
-    log.success(`Scan completed in ${stats.totalTime.toFixed(1)} seconds (${stats.averageSpeed.toFixed(1)} files/second)`);
-    log.success(`Total data indexed: ${formattedSize} in ${stats.totalFiles} files`);
-    
-    // Display file changes table
-    displayFileChangesTable(removedCount, removedSize, newFilesAdded, newFilesSize);
 }
 
 /**
- * processDirectory - Recursively processes files in directories
+ * readEntries - Reads the next batch of entries from an open directory
+ * Why it's needed: Directories with hundreds of thousands of entries must not
+ * be loaded into one array
+ * @param {fs.Dir} dirHandle - Directory opened with fs.promises.opendir
+ * @return {Promise<Array<fs.Dirent>>} - Up to WALK_BATCH_SIZE entries, empty at the end
+ */
+async function readEntries(dirHandle) {
+    const entries = [];
+    let entry;
+    while (entries.length < WALK_BATCH_SIZE && (entry = await dirHandle.read()) !== null) {
+        entries.push(entry);
+    }
+    return entries;
+}
+
+/**
+ * processDirectory - Walks a directory tree and indexes its files
  * Why it's needed: Handles the traversal and file processing logic
  * How it works:
- * 1. Lists all files in a directory
- * 2. Recursively processes subdirectories
- * 3. Hashes and stores information about each file
- * 4. Skips files that already exist in the database
+ * 1. Streams the directory's entries in batches, growing the progress total
+ *    by the files in each batch
+ * 2. Indexes each file as it is read and remembers subdirectories by path
+ * 3. Checkpoints the directory once its files are committed, closes it and
+ *    then walks the subdirectories, so only one directory is open at a time
+ * 4. Stops after the current file once an interrupt was requested
  * @param {string} dir - The directory to process
  * @param {ProgressTracker} progress - Progress tracking instance
- * @return {object} - Object with newFilesAdded and newFilesSize
+ * @param {PathFilter} filter - Decides which entries are processed
+ * @param {Set<string>} visited - Directories already walked
+ * @param {object} totals - Running counts of new and modified files, updated in place
  */
-async function processDirectory(dir, progress) {
+async function processDirectory(dir, progress, filter, visited, totals) {
+    try {
+        if (!await enterDirectory(dir, visited)) {
+            return;
+        }
+    } catch (error) {
+        recordScanError(dir, ERROR_PHASES.STAT, error);
+        return;
+    }
+    
     if (debugMode) log.debug(`Processing directory: ${dir} (will process files and subdirectories)`);
-    const files = fs.readdirSync(dir);
+    let dirHandle;
+    try {
+        dirHandle = await fs.promises.opendir(dir);
+    } catch (error) {
+        recordScanError(dir, ERROR_PHASES.READ_DIR, error);
+        return;
+    }
     
-    let newFilesAdded = 0;
-    let newFilesSize = 0;
+    const subdirectories = [];
+    try {
+        let entries;
+        while ((entries = await readEntries(dirHandle)).length > 0) {
+            progress.addDiscovered(entries.filter(entry => !entry.isDirectory()).length);
+            
+            for (const entry of entries) {
+                if (activeScan.interrupted) {
+                    return;
+                }
+                
+                const fullPath = path.join(dir, entry.name);
+                let stat;
+                try {
+                    stat = await statEntry(fullPath);
+                } catch (error) {
+                    recordScanError(fullPath, ERROR_PHASES.STAT, error);
+                    continue;
+                }
+                
+                if (!stat || !filter.accepts(fullPath, stat.isDirectory())) {
+                    continue;
+                }
+                
+                if (stat.isDirectory()) {
+                    subdirectories.push(fullPath);
+                } else if (stat.isFile() && filter.acceptsSize(stat.size)) {
+                    // Sockets, FIFOs and device files have no content worth hashing
+                    indexFile(fullPath, stat, progress, filter, totals);
+                }
+            }
+        }
+    } catch (error) {
+        // Entries read before the failure are kept
+        recordScanError(dir, ERROR_PHASES.READ_DIR, error);
+    } finally {
+        await dirHandle.close().catch(() => {});
+    }
     
-    for (const file of files) {
-        const fullPath = path.join(dir, file);
-        const stat = fs.statSync(fullPath);
-        
-        if (stat.isDirectory()) {
-            const subDirResult = await processDirectory(fullPath, progress);
-            newFilesAdded += subDirResult.newFilesAdded;
-            newFilesSize += subDirResult.newFilesSize;
-            continue;
+    // Every file in this directory is committed
+    activeScan.lastDirectory = dir;
+    saveCheckpoint();
+    
+    for (const subdirectory of subdirectories) {
+        if (activeScan.interrupted) {
+            return;
         }
+        await processDirectory(subdirectory, progress, filter, visited, totals);
+    }
+}
 
-        const relativePath = path.relative(baseDir, fullPath);
-        // Don't log each individual file processing
-        const fileInfo = parseFilePath(relativePath);
-        
-        // Check if file is already in database
-        const existingFile = getFileById.get(fileInfo.id);
-        
-        if (existingFile) {
-            // Don't log each skipped file
+/**
+ * indexFile - Adds a new file to the index or checks a known one for changes
+ * Why it's needed: Keeps the walker to traversal while this decides what a file needs
+ * How it works:
+ * 1. Stores the size of each new file; hashing happens later in resolveCandidates,
+ *    and zero-byte files are set aside unless --include-empty is set
+ * 2. Skips known files whose size, mtime, inode and device are unchanged
+ * 3. Resets known files whose stat signature changed so they are hashed again
+ * @param {string} fullPath - Absolute path of the file
+ * @param {fs.Stats} stat - The file's stats
+ * @param {ProgressTracker} progress - Progress tracking instance
+ * @param {PathFilter} filter - Filter of the root the file belongs to
+ * @param {object} totals - Running counts of new and modified files, updated in place
+ */
+function indexFile(fullPath, stat, progress, filter, totals) {
+    // Paths are stored relative to the parent of their root, e.g. 'photos/2020/a.jpg'
+    const relativePath = path.relative(path.dirname(filter.rootDir), fullPath);
+    // Don't log each individual file processing
+    const fileInfo = parseFilePath(fullPath);
+    
+    // Check if file is already in database
+    const existingFile = getFileById.get(fileInfo.id);
+    
+    const signature = getStatSignature(stat);
+    
+    if (existingFile) {
+        if (existingFile.mtime === null || existingFile.device === null) {
+            // Indexed before signatures were stored - trust it unless the size moved
+            if (existingFile.size === signature.size) {
+                updateFileSignature.run({ id: fileInfo.id, ...signature });
+                progress.incrementProcessed();
+                return;
+            }
+        } else if (existingFile.size === signature.size &&
+            existingFile.mtime === signature.mtime &&
+            existingFile.inode === signature.inode &&
+            existingFile.device === signature.device) {
+            // Don't log each unchanged file
             progress.incrementProcessed();
-            continue;
-        } else {
-            // New file found - track it
-            const fileSize = getFileSize(fullPath);
-            const fileHash = await hashFile(fullPath);
+            return;
+        }
+        
+        // Modified in place - forget its hashes so the pipeline checks it again
+        if (debugMode) log.debug(`Modified file detected: ${relativePath}`);
+        markFileModified.run({ id: fileInfo.id, stage: getInitialStage(signature.size), ...signature });
+        totals.modifiedCount++;
+        totals.modifiedSize += signature.size;
+        progress.incrementProcessed();
+    } else {
+        // New file found - track it by size until it collides with another file
+        try {
+            insertFile.run({
+                id: fileInfo.id,
+                path: relativePath,
+                hash: null,
+                stage: getInitialStage(signature.size),
+                partialHash: null,
+                root: filter.rootDir,
+                ...signature
+            });
             
-            try {
-                insertFile.run({
-                    id: fileInfo.id,
-                    path: relativePath,
-                    hash: fileHash,
-                    size: fileSize
+            // Increment counters for new files
+            totals.newFilesAdded++;
+            totals.newFilesSize += signature.size;
+            
+            progress.incrementProcessed();
+        } catch (error) {
+            log.error(`Error inserting file ${relativePath}: ${error.message}`);
+            if (debugMode) log.debug(`Database insert error details: ${JSON.stringify(error)}`);
+            recordScanError(fullPath, ERROR_PHASES.INSERT, error);
+        }
+    }
+}
+
+// Number of hash results written to the database per transaction
+const HASH_BATCH_SIZE = 500;
+
+/**
+ * resolveCandidates - Narrows size collisions down to confirmed duplicates
+ * Why it's needed: Most files have a unique size and never need to be read
+ * How it works:
+ * 1. With --archives, reads new and changed zip and tar archives and indexes
+ *    their members with full and partial hashes, so they collide with loose files below
+ * 2. Partially hashes every file that shares its size with another file
+ * 3. Fully hashes files whose size and partial hash still collide
+ * 4. Files small enough to be read whole by the partial hash skip step 3
+ * 5. With --similar-images, computes perceptual hashes of new and changed images
+ * 6. With --similar-text, computes MinHash signatures of new and changed text files
+ * All stages hash on a pool of hashJobs worker threads.
+ * @param {Map<string, PathFilter>} filters - Filter for each root, applied to archive members
+ * @return {object} - Object with archiveEntries, partialHashed, fullHashed, imagesHashed and textSigned counts
+ */
+async function resolveCandidates(filters) {
+    let archiveEntries = 0;
+    let partialHashed = 0;
+    let fullHashed = 0;
+    let imagesHashed = 0;
+    let textSigned = 0;
+    const pool = new HashPool(hashJobs);
+
+    try {
+        if (archives) {
+            removeOrphanArchiveEntries();
+            const archiveFiles = getArchivesToRead();
+            if (archiveFiles.length > 0) {
+                log.info(`Reading the contents of ${archiveFiles.length} archives...`);
+                await runHashStage(pool, archiveFiles, 'archive', 'Archive reading', (file, result) => {
+                    archiveEntries += indexArchiveEntries(file, result, filters.get(file.root));
                 });
-                
-                // Increment counters for new files
-                newFilesAdded++;
-                newFilesSize += fileSize;
-                
-                progress.incrementProcessed();
-            } catch (error) {
-                log.error(`Error inserting file ${relativePath}: ${error.message}`);
-                if (debugMode) log.debug(`Database insert error details: ${JSON.stringify(error)}`);
             }
         }
+
+        const sizeCandidates = activeScan.interrupted ? [] : getSizeCandidates.all();
+        if (sizeCandidates.length > 0) {
+            log.info(`Partially hashing ${sizeCandidates.length} files that share a size...`);
+            await runHashStage(pool, sizeCandidates, 'partial', 'Partial hashing', (file, result) => {
+                if (result.complete) {
+                    updateFullHash.run({ id: file.id, hash: result.hash, partialHash: result.hash });
+                    fullHashed++;
+                } else {
+                    updatePartialHash.run({ id: file.id, partialHash: result.hash });
+                }
+                partialHashed++;
+            });
+        }
+
+        const partialCandidates = activeScan.interrupted ? [] : getPartialCandidates.all();
+        if (partialCandidates.length > 0) {
+            log.info(`Fully hashing ${partialCandidates.length} files with matching partial hashes...`);
+            await runHashStage(pool, partialCandidates, 'full', 'Full hashing', (file, result) => {
+                updateFullHash.run({ id: file.id, hash: result.hash, partialHash: null });
+                fullHashed++;
+            });
+        }
+
+        if (similarImages && !activeScan.interrupted) {
+            removeOrphanImageHashes();
+            const images = getImagesToHash();
+            if (images.length > 0) {
+                log.info(`Computing perceptual hashes of ${images.length} images...`);
+                await runHashStage(pool, images, 'image', 'Image hashing', (file, result) => {
+                    saveImageHash(file, result);
+                    imagesHashed++;
+                });
+            }
+        }
+
+        if (similarText && !activeScan.interrupted) {
+            removeOrphanTextSignatures();
+            const textFiles = getTextFilesToSign();
+            if (textFiles.length > 0) {
+                log.info(`Computing MinHash signatures of ${textFiles.length} text files...`);
+                await runHashStage(pool, textFiles, 'text', 'Text signing', (file, result) => {
+                    saveTextSignature(file, result);
+                    textSigned++;
+                });
+            }
+        }
+    } finally {
+        await pool.close();
     }
-    
-    return { newFilesAdded, newFilesSize };
-} 
\ No newline at end of file
+
+    if (debugMode) log.debug(`Indexed ${archiveEntries} archive members, partially hashed ${partialHashed} files, fully hashed ${fullHashed} files, hashed ${imagesHashed} images, signed ${textSigned} text files`);
+    return { archiveEntries, partialHashed, fullHashed, imagesHashed, textSigned };
+}
+
+/**
+ * indexArchiveEntries - Stores the members read from an archive
+ * Why it's needed: Members are indexed like files under a virtual path such as
+ * 'backups/backup.zip!/docs/a.pdf', so duplicate groups can pair them with loose files
+ * How it works: Applies the root's size and extension rules to each member,
+ * derives its ID from the virtual path and replaces the archive's old members
+ * @param {object} archive - File record of the archive with id, path, size, mtime and root
+ * @param {object} result - Object with entries and skipped from readArchive
+ * @param {PathFilter} [filter] - Filter of the archive's root
+ * @return {number} - Number of members indexed
+ */
+function indexArchiveEntries(archive, result, filter) {
+    const entries = result.entries
+        .filter(entry => !filter || (filter.acceptsSize(entry.size) && filter.acceptsExtension(entry.name)))
+        .map(entry => {
+            const virtualPath = `${archive.path}${ARCHIVE_SEPARATOR}${entry.name}`;
+            return {
+                id: parseFilePath(resolveFilePath({ path: virtualPath, root: archive.root })).id,
+                path: virtualPath,
+                root: archive.root,
+                size: entry.size,
+                hash: entry.hash,
+                partialHash: entry.partialHash
+            };
+        });
+
+    saveArchiveEntries(archive, entries, result.skipped + result.entries.length - entries.length);
+    if (debugMode) log.debug(`Indexed ${entries.length} members of ${archive.path} (${result.skipped} skipped)`);
+    return entries.length;
+}
+
+// Error phase recorded when a file fails in each hash stage
+const STAGE_ERROR_PHASES = {
+    partial: ERROR_PHASES.PARTIAL_HASH,
+    full: ERROR_PHASES.FULL_HASH,
+    image: ERROR_PHASES.IMAGE_HASH,
+    text: ERROR_PHASES.TEXT_HASH,
+    archive: ERROR_PHASES.ARCHIVE
+};
+
+/**
+ * runHashStage - Hashes a list of files on the pool and stores the results
+ * Why it's needed: Keeps every worker busy while database writes stay on the main thread
+ * How it works:
+ * 1. Feeds files to the pool, keeping at most two tasks per worker in flight
+ * 2. Collects results and writes them in batched transactions
+ * 3. Records files that fail to hash in the errors table and leaves them at their stage
+ * 4. Counts each finished file on its own progress bar
+ * @param {HashPool} pool - The worker pool
+ * @param {Array<object>} files - Rows with id, path and size
+ * @param {string} type - 'partial', 'full', 'image', 'text' or 'archive'
+ * @param {string} label - Progress bar label
+ * @param {function} applyResult - Called with (file, result) inside a transaction
+ */
+async function runHashStage(pool, files, type, label, applyResult) {
+    const progress = new ProgressTracker({ label });
+    progress.setTotalFiles(files.length);
+
+    const phase = STAGE_ERROR_PHASES[type];
+    let results = [];
+    const writeBatch = db.transaction((batch) => {
+        for (const { file, result, error } of batch) {
+            if (error) {
+                recordScanError(resolveFilePath(file), phase, error);
+            } else {
+                applyResult(file, result);
+                activeScan.filesHashed++;
+            }
+        }
+    });
+    const flush = () => {
+        writeBatch(results);
+        results = [];
+        saveCheckpoint();
+    };
+
+    const pending = new Set();
+    for (const file of files) {
+        // Let the tasks already handed out finish, but start no new ones
+        if (activeScan.interrupted) {
+            break;
+        }
+        
+        const job = pool.run({
+            type,
+            path: resolveFilePath(file),
+            size: file.size,
+            algorithm: activeAlgorithm
+        })
+            .then((result) => ({ file, result }), (error) => ({ file, error }))
+            .then((outcome) => {
+                results.push(outcome);
+                progress.incrementProcessed();
+                if (results.length >= HASH_BATCH_SIZE) flush();
+            });
+        pending.add(job);
+        job.then(() => pending.delete(job), () => pending.delete(job));
+
+        if (pending.size >= pool.size * 2) {
+            await Promise.race(pending);
+        }
+    }
+
+    try {
+        await Promise.all(pending);
+    } finally {
+        // Keep whatever finished before an error
+        flush();
+    }
+    if (!activeScan.interrupted) {
+        progress.complete();
+    }
+}
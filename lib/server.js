@@ -1,15 +1,20 @@
 import express from 'express';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { log } from './vars.js';
+import { log, serverPort, serverHost } from './vars.js';
 import { duplicatesRoutes } from './server/routes/duplicates.js';
 import { filesRoutes } from './server/routes/files.js';
+import { errorsRoutes } from './server/routes/errors.js';
+import { emptyFilesRoutes } from './server/routes/empty-files.js';
+import { similarTextRoutes } from './server/routes/similar-text.js';
+import { directoriesRoutes } from './server/routes/directories.js';
+import { operationsRoutes } from './server/routes/operations.js';
+import { quarantineRoutes } from './server/routes/quarantine.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
-const port = 3000;
 
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
@@ -22,9 +27,18 @@ app.get('/', (req, res) => {
 // Register routes
 duplicatesRoutes.handler(app);
 filesRoutes.handler(app);
+errorsRoutes.handler(app);
+emptyFilesRoutes.handler(app);
+similarTextRoutes.handler(app);
+directoriesRoutes.handler(app);
+operationsRoutes.handler(app);
+quarantineRoutes.handler(app);
 
 export function startServer() {
-    app.listen(port, () => {
-        log.success(`Server running at http://localhost:${port}`);
-    });
+    const onListening = () => log.success(`Server running at http://${serverHost ?? 'localhost'}:${serverPort}`);
+    if (serverHost) {
+        app.listen(serverPort, serverHost, onListening);
+    } else {
+        app.listen(serverPort, onListening);
+    }
 } 
\ No newline at end of file
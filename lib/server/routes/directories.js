@@ -0,0 +1,22 @@
+import { findDuplicateDirectories, findOverlappingDirectories } from '../../directory-sets.js';
+import { log } from '../../vars.js';
+
+export const directoriesRoutes = {
+    path: '/api/directories',
+    handler: (app) => {
+        app.get('/api/directories', (req, res) => {
+            try {
+                const duplicateDirectories = findDuplicateDirectories();
+                const overlappingDirectories = findOverlappingDirectories();
+                res.json({
+                    duplicateDirectories,
+                    overlappingDirectories,
+                    totalDuplicateDirectories: duplicateDirectories.length
+                });
+            } catch (error) {
+                log.error(`Error getting duplicate directories: ${error.message}`);
+                res.status(500).json({ error: error.message });
+            }
+        });
+    }
+};
@@ -1,7 +1,12 @@
-import path from 'path';
-import fs from 'fs';
-import { getDuplicates, getFilesByHash } from '../../../database/files.js';
-import { baseDir, log, targetDirName } from '../../vars.js';
+import { getDuplicates, getLinkedGroups, getFilesByHash } from '../../../database/files.js';
+import { log, similarImages, verifyCopies, useTrash } from '../../vars.js';
+import { planDuplicateSet, physicalKey } from '../../duplicate-sets.js';
+import { findSimilarImages } from '../../similar-images.js';
+import { findDuplicateDirectories, createDirectoryCoverage } from '../../directory-sets.js';
+import { verifyDuplicate } from '../../verify.js';
+import { REPLACE_MODES } from '../../replace.js';
+import { createBatchId, moveDuplicate, trashDuplicate, replaceDuplicate } from '../../journal.js';
+import { getIgnoredHashes } from '../../../database/ignored-sets.js';
 
 /**
  * formatSize - Converts bytes to a human-readable format
@@ -28,39 +33,100 @@ export const duplicatesRoutes = {
                 // Ensure duplicates is an array
                 const duplicates = Array.isArray(duplicatesResult) ? duplicatesResult : [];
                 
+                // Groups made only of hardlinks are already deduplicated
+                const linkedGroups = getLinkedGroups.all().map(group => ({
+                    ...group,
+                    formattedSize: formatSize(group.size),
+                    paths: getFilesByHash.all(group.hash).map(file => ({
+                        path: file.path,
+                        root: file.root,
+                        size: file.size,
+                        formattedSize: formatSize(file.size)
+                    }))
+                }));
+                
+                // Images that look alike are listed for review only and have no keep-original action
+                const similarGroups = similarImages ? findSimilarImages().map(group => ({
+                    type: group.type,
+                    count: group.count,
+                    maxDistance: group.maxDistance,
+                    paths: group.files.map(file => ({
+                        path: file.path,
+                        root: file.root,
+                        size: file.size,
+                        formattedSize: formatSize(file.size),
+                        width: file.width,
+                        height: file.height,
+                        distance: file.distance
+                    }))
+                })) : [];
+                
+                // Identical directory trees; file groups inside them are flagged so clients can collapse them
+                const directoryGroups = findDuplicateDirectories().map(group => ({
+                    ...group,
+                    formattedSize: formatSize(group.size),
+                    wastedSpace: formatSize(group.wastedSpace)
+                }));
+                const isInDuplicateDirectory = createDirectoryCoverage(directoryGroups);
+                
                 if (duplicates.length === 0) {
                     return res.json({
                         duplicates: [],
+                        directoryGroups,
+                        linkedGroups,
+                        similarGroups,
                         totalWastedSpace: '0 Bytes',
-                        totalDuplicateSets: 0
+                        totalDuplicateSets: 0,
+                        ignoredSets: 0
                     });
                 }
                 
+                // Sets ignored in review are flagged and left out of the totals, as clean leaves them alone
+                const ignored = getIgnoredHashes();
                 const duplicatesWithPaths = duplicates.map(group => {
                     const files = getFilesByHash.all(group.hash);
-                    // Calculate the total wasted space by duplicate files
-                    const totalSize = group.size * (group.count - 1);
+                    // Calculate the total wasted space by duplicate copies; hardlinks use none
+                    const totalSize = group.size * (group.copies - 1);
+                    // The kept file comes first, as chosen by the keep rules
+                    const plan = planDuplicateSet(files);
+                    const ordered = [plan.original, ...files.filter(file => file !== plan.original)];
                     
                     return {
                         ...group,
+                        type: 'exact',
                         formattedSize: formatSize(group.size),
                         wastedSpace: formatSize(totalSize),
-                        paths: files.map(file => ({
+                        inDuplicateDirectory: files.every(isInDuplicateDirectory),
+                        ignored: ignored.has(group.hash),
+                        keepRule: plan.rule,
+                        paths: ordered.map(file => ({
                             path: file.path,
+                            root: file.root,
                             size: file.size,
-                            formattedSize: formatSize(file.size)
+                            formattedSize: formatSize(file.size),
+                            mtime: file.mtime,
+                            original: file === plan.original,
+                            hardlink: plan.linked.includes(file),
+                            // Protected files and copies inside archives are report-only
+                            protected: plan.protected.includes(file),
+                            archived: plan.archived.includes(file)
                         }))
                     };
                 });
                 
-                // Calculate total wasted space by all duplicates
-                const totalWastedSpace = duplicatesWithPaths.reduce(
-                    (total, group) => total + (group.size * (group.count - 1)), 0);
+                // Calculate total wasted space by all duplicates that aren't ignored
+                const activeGroups = duplicatesWithPaths.filter(group => !group.ignored);
+                const totalWastedSpace = activeGroups.reduce(
+                    (total, group) => total + (group.size * (group.copies - 1)), 0);
                 
                 res.json({
                     duplicates: duplicatesWithPaths,
+                    directoryGroups,
+                    linkedGroups,
+                    similarGroups,
                     totalWastedSpace: formatSize(totalWastedSpace),
-                    totalDuplicateSets: duplicatesWithPaths.length
+                    totalDuplicateSets: activeGroups.length,
+                    ignoredSets: duplicatesWithPaths.length - activeGroups.length
                 });
             } catch (error) {
                 log.error(`Error getting duplicates: ${error.message}`);
@@ -68,7 +134,7 @@ export const duplicatesRoutes = {
             }
         });
 
-        app.post('/api/duplicates/:hash/keep-original', (req, res) => {
+        app.post('/api/duplicates/:hash/keep-original', async (req, res) => {
             try {
                 const files = getFilesByHash.all(req.params.hash);
                 if (files.length <= 1) {
@@ -76,47 +142,123 @@ export const duplicatesRoutes = {
                     return;
                 }
 
-                // Choose the original file - now also considering file path length
-                const original = files.reduce((shortest, current) => 
-                    current.path.length < shortest.path.length ? current : shortest
-                );
+                // Choose the original file; hardlinks of it stay in place
+                const { original, removable: duplicateFiles } = planDuplicateSet(files);
 
-                // Calculate space to be freed
-                const duplicateFiles = files.filter(file => file.path !== original.path);
-                const totalSizeFreed = duplicateFiles.reduce((total, file) => total + file.size, 0);
-
-                // Create duplicates directory if it doesn't exist
-                const duplicatesDir = path.join(baseDir, `@duplicates`);
-                if (!fs.existsSync(duplicatesDir)) {
-                    fs.mkdirSync(duplicatesDir, { recursive: true });
+                if (duplicateFiles.length === 0) {
+                    res.status(400).json({ error: 'No removable copies in this set (hardlinks, read-only roots or archive copies only)' });
+                    return;
                 }
 
-                duplicateFiles.forEach(file => {
-                    const sourcePath = path.join(baseDir, file.path);
-                    const destPath = path.join(duplicatesDir, file.path);
+                // The dashboard's Trash button asks for the Trash; otherwise --trash decides
+                const toTrash = req.body?.trash ?? useTrash;
 
-                    // Create the destination directory structure
-                    const destDir = path.dirname(destPath);
-                    if (!fs.existsSync(destDir)) {
-                        fs.mkdirSync(destDir, { recursive: true });
+                // Copies that changed since the scan, differ from the original or can't be
+                // moved stay in place; the batch still covers the ones that were moved
+                const skipped = [];
+                const failed = [];
+                const freedKeys = new Map();
+                const batch = createBatchId();
+                let movedCount = 0;
+                for (const file of duplicateFiles) {
+                    const mismatch = verifyCopies ? await verifyDuplicate(original, file) : null;
+                    if (mismatch) {
+                        log.warning(`Skipped ${file.path}: ${mismatch}`);
+                        skipped.push({ path: file.path, reason: mismatch });
+                        continue;
                     }
-
-                    // Move the file
-                    fs.renameSync(sourcePath, destPath);
-                    log.info(`Moved duplicate to: ${destPath} (${formatSize(file.size)})`);
-                });
+                    
+                    try {
+                        const destPath = toTrash ? await trashDuplicate(file, batch) : await moveDuplicate(file, batch);
+                        log.info(`Moved duplicate to: ${destPath} (${formatSize(file.size)})`);
+                        freedKeys.set(physicalKey(file), file.size);
+                        movedCount++;
+                    } catch (error) {
+                        log.error(`Failed to move ${file.path}: ${error.message}`);
+                        failed.push({ path: file.path, reason: error.message });
+                    }
+                }
+                const totalSizeFreed = [...freedKeys.values()].reduce((total, size) => total + size, 0);
 
                 res.json({ 
                     success: true, 
                     kept: original.path,
                     keptSize: formatSize(original.size),
-                    movedCount: duplicateFiles.length,
-                    freedSpace: formatSize(totalSizeFreed)
+                    movedCount,
+                    trashed: Boolean(toTrash),
+                    freedSpace: formatSize(totalSizeFreed),
+                    skipped,
+                    failed,
+                    batch: movedCount > 0 ? batch : null
                 });
             } catch (error) {
                 log.error(`Error keeping original: ${error.message}`);
                 res.status(500).json({ error: error.message });
             }
         });
+
+        app.post('/api/duplicates/:hash/replace', async (req, res) => {
+            try {
+                const mode = String(req.body?.mode || 'hardlink').toLowerCase();
+                if (!REPLACE_MODES.includes(mode)) {
+                    res.status(400).json({ error: `Unknown replace mode '${mode}'. Use one of: ${REPLACE_MODES.join(', ')}` });
+                    return;
+                }
+
+                const files = getFilesByHash.all(req.params.hash);
+                if (files.length <= 1) {
+                    res.status(400).json({ error: 'No duplicates found for this hash' });
+                    return;
+                }
+
+                // Same choice of kept file and removable copies as keep-original
+                const { original, removable: duplicateFiles } = planDuplicateSet(files);
+
+                if (duplicateFiles.length === 0) {
+                    res.status(400).json({ error: 'No replaceable copies in this set (hardlinks, read-only roots or archive copies only)' });
+                    return;
+                }
+
+                const skipped = [];
+                const failed = [];
+                const used = new Set();
+                const freedKeys = new Map();
+                const batch = createBatchId();
+                for (const file of duplicateFiles) {
+                    const mismatch = verifyCopies ? await verifyDuplicate(original, file) : null;
+                    if (mismatch) {
+                        log.warning(`Skipped ${file.path}: ${mismatch}`);
+                        skipped.push({ path: file.path, reason: mismatch });
+                        continue;
+                    }
+
+                    try {
+                        const usedMode = await replaceDuplicate(original, file, mode, batch);
+                        log.info(`Replaced duplicate with ${usedMode}: ${file.path} (${formatSize(file.size)})`);
+                        used.add(usedMode);
+                        freedKeys.set(physicalKey(file), file.size);
+                    } catch (error) {
+                        log.error(`Failed to replace ${file.path}: ${error.message}`);
+                        failed.push({ path: file.path, reason: error.message });
+                    }
+                }
+                const totalSizeFreed = [...freedKeys.values()].reduce((total, size) => total + size, 0);
+
+                res.json({
+                    success: true,
+                    kept: original.path,
+                    mode,
+                    usedModes: [...used],
+                    replacedCount: duplicateFiles.length - skipped.length - failed.length,
+                    freedSpace: formatSize(totalSizeFreed),
+                    skipped,
+                    failed,
+                    batch: freedKeys.size > 0 ? batch : null
+                });
+            } catch (error) {
+                log.error(`Error replacing duplicates: ${error.message}`);
+                res.status(500).json({ error: error.message });
+            }
+        });
     }
 }; 
\ No newline at end of file
@@ -0,0 +1,20 @@
+import { getEmptyFiles } from '../../../database/files.js';
+import { log } from '../../vars.js';
+
+export const emptyFilesRoutes = {
+    path: '/api/empty-files',
+    handler: (app) => {
+        app.get('/api/empty-files', (req, res) => {
+            try {
+                const files = getEmptyFiles.all();
+                res.json({
+                    files,
+                    totalFiles: files.length
+                });
+            } catch (error) {
+                log.error(`Error getting empty files: ${error.message}`);
+                res.status(500).json({ error: error.message });
+            }
+        });
+    }
+};
@@ -0,0 +1,20 @@
+import { getErrors } from '../../../database/errors.js';
+import { log } from '../../vars.js';
+
+export const errorsRoutes = {
+    path: '/api/errors',
+    handler: (app) => {
+        app.get('/api/errors', (req, res) => {
+            try {
+                const errors = getErrors();
+                res.json({
+                    errors,
+                    totalErrors: errors.length
+                });
+            } catch (error) {
+                log.error(`Error getting scan errors: ${error.message}`);
+                res.status(500).json({ error: error.message });
+            }
+        });
+    }
+};
@@ -1,15 +1,23 @@
 import path from 'path';
 import fs from 'fs';
 import { exec } from 'child_process';
-import { baseDir, log } from '../../vars.js';
+import { targetDir, log } from '../../vars.js';
+import { getRoots } from '../../../database/files.js';
+import { ARCHIVE_SEPARATOR } from '../../archive-reader.js';
 
 export const filesRoutes = {
     path: '/api/open-file',
     handler: (app) => {
         app.post('/api/open-file', (req, res) => {
-            const filePath = path.join(baseDir, req.body.path);
+            // Only open files under a root that is part of the index; an index from before
+            // roots were recorded has none, and only holds files of the target
+            const root = req.body.root || targetDir;
+            const indexedRoots = getRoots.all().map(row => row.root);
+            const knownRoots = indexedRoots.length > 0 ? indexedRoots : [targetDir];
+            // Files inside an archive open the archive itself
+            const filePath = path.join(path.dirname(root), String(req.body.path).split(ARCHIVE_SEPARATOR)[0]);
             
-            if (!fs.existsSync(filePath) || !filePath.startsWith(baseDir)) {
+            if (!knownRoots.includes(root) || !fs.existsSync(filePath) || !filePath.startsWith(root + path.sep)) {
                 res.status(404).json({ error: 'File not found or access denied' });
                 return;
             }
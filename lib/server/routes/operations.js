@@ -0,0 +1,39 @@
+import { getBatches } from '../../../database/operations.js';
+import { undoBatch } from '../../journal.js';
+import { log } from '../../vars.js';
+
+export const operationsRoutes = {
+    path: '/api/operations',
+    handler: (app) => {
+        app.get('/api/operations', (req, res) => {
+            try {
+                const batches = getBatches();
+                res.json({
+                    batches,
+                    totalBatches: batches.length
+                });
+            } catch (error) {
+                log.error(`Error getting operations: ${error.message}`);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Restores a batch; files whose original location was taken since are refused
+        app.post('/api/operations/:batch/undo', async (req, res) => {
+            try {
+                const summary = getBatches().find(entry => entry.batch === req.params.batch);
+                if (!summary) {
+                    res.status(404).json({ error: `Unknown batch '${req.params.batch}'` });
+                    return;
+                }
+
+                const result = await undoBatch(req.params.batch);
+                log.info(`Undid batch ${result.batch}: restored ${result.restored} files`);
+                res.json({ success: true, ...result });
+            } catch (error) {
+                log.error(`Error undoing batch: ${error.message}`);
+                res.status(500).json({ error: error.message });
+            }
+        });
+    }
+};
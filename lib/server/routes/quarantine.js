@@ -0,0 +1,37 @@
+import { getQuarantineStatus } from '../../quarantine.js';
+import { log } from '../../vars.js';
+
+/**
+ * formatSize - Converts bytes to a human-readable format
+ * Why it's needed: Makes file sizes more readable
+ * How it works: Divides by appropriate units and adds suffixes
+ * @param {number} bytes - The size in bytes
+ * @return {string} - Formatted size with units
+ */
+function formatSize(bytes) {
+    if (bytes === 0) return '0 Bytes';
+    
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(1024));
+    
+    return parseFloat((bytes / Math.pow(1024, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+export const quarantineRoutes = {
+    path: '/api/quarantine',
+    handler: (app) => {
+        app.get('/api/quarantine', (req, res) => {
+            try {
+                const status = getQuarantineStatus();
+                res.json({
+                    ...status,
+                    formattedSize: formatSize(status.size),
+                    batches: status.batches.map(batch => ({ ...batch, formattedSize: formatSize(batch.size) }))
+                });
+            } catch (error) {
+                log.error(`Error getting quarantine status: ${error.message}`);
+                res.status(500).json({ error: error.message });
+            }
+        });
+    }
+};
@@ -0,0 +1,48 @@
+import { findSimilarText, getTextDiff } from '../../similar-text.js';
+import { log } from '../../vars.js';
+
+export const similarTextRoutes = {
+    path: '/api/similar-text',
+    handler: (app) => {
+        // Groups of text files whose contents mostly overlap; listed for review only
+        app.get('/api/similar-text', (req, res) => {
+            try {
+                const groups = findSimilarText();
+                res.json({
+                    groups: groups.map(group => ({
+                        type: group.type,
+                        count: group.count,
+                        minSimilarity: group.minSimilarity,
+                        files: group.files.map(file => ({
+                            id: file.id,
+                            path: file.path,
+                            root: file.root,
+                            size: file.size,
+                            similarity: file.similarity
+                        }))
+                    })),
+                    totalGroups: groups.length
+                });
+            } catch (error) {
+                log.error(`Error getting similar text files: ${error.message}`);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Unified diff between two indexed files, e.g. /api/similar-text/diff?a=<id>&b=<id>
+        app.get('/api/similar-text/diff', (req, res) => {
+            try {
+                const { a, b } = req.query;
+                if (!a || !b) {
+                    res.status(400).json({ error: 'Both a and b file IDs are required' });
+                    return;
+                }
+
+                res.json({ diff: getTextDiff(String(a), String(b)) });
+            } catch (error) {
+                log.error(`Error diffing files: ${error.message}`);
+                res.status(error.message === 'File not found in the index' ? 404 : 500).json({ error: error.message });
+            }
+        });
+    }
+};
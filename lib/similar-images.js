@@ -0,0 +1,125 @@
+/**
+ * Similar Images Module
+ * Purpose: Groups images that look alike but are not byte-for-byte duplicates
+ * Why it's needed: The console report and the web API must show the same groups
+ * How it works: Links every pair of images whose perceptual hashes differ in at
+ * most the threshold number of bits, and reports each connected group
+ */
+
+import { getImageHashes } from '../database/images.js';
+import { hammingDistance } from './image-hash.js';
+import { similarThreshold } from './vars.js';
+
+/**
+ * BKTree Class
+ * Purpose: Finds all hashes within a Hamming distance of a query
+ * Why it's needed: Comparing every pair of images is too slow for large photo libraries
+ * How it works: Each child hangs off its parent by their distance, so by the
+ * triangle inequality only children within the threshold of that distance are searched
+ */
+class BKTree {
+    constructor() {
+        this.root = null;
+    }
+
+    /**
+     * add - Inserts an image into the tree
+     * @param {object} image - Record with a hash property
+     */
+    add(image) {
+        const node = { image, children: new Map() };
+        if (!this.root) {
+            this.root = node;
+            return;
+        }
+
+        let current = this.root;
+        for (;;) {
+            const distance = hammingDistance(image.hash, current.image.hash);
+            const child = current.children.get(distance);
+            if (!child) {
+                current.children.set(distance, node);
+                return;
+            }
+            current = child;
+        }
+    }
+
+    /**
+     * search - Finds the images within a distance of a hash
+     * @param {string} hash - The hash to look around
+     * @param {number} maxDistance - Largest Hamming distance to include
+     * @return {Array<object>} - The matching image records
+     */
+    search(hash, maxDistance) {
+        const matches = [];
+        const pending = this.root ? [this.root] : [];
+
+        while (pending.length > 0) {
+            const node = pending.pop();
+            const distance = hammingDistance(hash, node.image.hash);
+            if (distance <= maxDistance) {
+                matches.push(node.image);
+            }
+            for (const [childDistance, child] of node.children) {
+                if (Math.abs(childDistance - distance) <= maxDistance) {
+                    pending.push(child);
+                }
+            }
+        }
+
+        return matches;
+    }
+}
+
+/**
+ * findSimilarImages - Clusters the indexed images by perceptual hash
+ * Why it's needed: Resized, re-encoded and converted copies of a picture are
+ * only recognisable by how they look
+ * How it works:
+ * 1. Joins each image with every image within the threshold (union-find)
+ * 2. Drops groups whose files all have the same content, which are exact duplicates
+ * 3. Orders each group's images by resolution, largest first, and records each
+ *    image's distance from that first image
+ * @param {number} [threshold] - Largest Hamming distance (out of 64 bits) that counts as similar
+ * @return {Array<object>} - Groups with type 'similar', maxDistance and files
+ */
+export function findSimilarImages(threshold = similarThreshold) {
+    const images = getImageHashes();
+    const tree = new BKTree();
+    const parent = new Map(images.map(image => [image.id, image.id]));
+
+    const find = (id) => {
+        while (parent.get(id) !== id) {
+            parent.set(id, parent.get(parent.get(id)));
+            id = parent.get(id);
+        }
+        return id;
+    };
+
+    images.forEach(image => {
+        tree.search(image.hash, threshold).forEach(match => parent.set(find(match.id), find(image.id)));
+        tree.add(image);
+    });
+
+    const clusters = new Map();
+    images.forEach(image => {
+        const clusterId = find(image.id);
+        if (!clusters.has(clusterId)) clusters.set(clusterId, []);
+        clusters.get(clusterId).push(image);
+    });
+
+    return [...clusters.values()]
+        .filter(files => new Set(files.map(file => file.contentHash ?? file.id)).size > 1)
+        .map(files => {
+            files.sort((a, b) => (b.width * b.height) - (a.width * a.height) || a.path.length - b.path.length);
+            const withDistances = files.map(file => ({ ...file, distance: hammingDistance(files[0].hash, file.hash) }));
+            return {
+                type: 'similar',
+                count: files.length,
+                maxDistance: Math.max(...withDistances.map(file => file.distance)),
+                files: withDistances
+            };
+        })
+        .sort((a, b) => b.count - a.count || a.files[0].path.localeCompare(b.files[0].path));
+}
@@ -0,0 +1,112 @@
+/**
+ * Similar Text Module
+ * Purpose: Groups text files whose contents mostly overlap
+ * Why it's needed: The console report and the web API must show the same groups and diffs
+ * How it works: Finds candidate pairs by locality-sensitive hashing of the
+ * MinHash signatures, keeps pairs whose estimated Jaccard similarity reaches the
+ * threshold and reports each connected group
+ */
+
+import fs from 'fs';
+import { getTextSignatures } from '../database/text-signatures.js';
+import { getFileById, resolveFilePath } from '../database/files.js';
+import { estimateSimilarity, SIGNATURE_SIZE } from './text-hash.js';
+import { unifiedDiff } from './text-diff.js';
+import { similarTextThreshold } from './vars.js';
+
+// Signature values per LSH band; pairs sharing any band are compared in full
+const BAND_SIZE = 4;
+
+/**
+ * findSimilarText - Clusters the signed text files by estimated Jaccard similarity
+ * Why it's needed: Files that differ by a line or two are worth reviewing together
+ * How it works:
+ * 1. Buckets each signature by every band of BAND_SIZE values; files sharing
+ *    a bucket become candidate pairs
+ * 2. Joins candidate pairs whose estimated similarity reaches the threshold (union-find)
+ * 3. Drops groups whose files all have the same content, which are exact duplicates
+ * 4. Records each file's similarity to the group's first file
+ * @param {number} [threshold] - Smallest estimated Jaccard similarity, from 0 to 1
+ * @return {Array<object>} - Groups with type 'similar-text', minSimilarity and files
+ */
+export function findSimilarText(threshold = similarTextThreshold) {
+    const files = getTextSignatures();
+    const parent = files.map((_, index) => index);
+
+    const find = (index) => {
+        while (parent[index] !== index) {
+            parent[index] = parent[parent[index]];
+            index = parent[index];
+        }
+        return index;
+    };
+
+    const compared = new Set();
+    for (let band = 0; band < SIGNATURE_SIZE; band += BAND_SIZE) {
+        const buckets = new Map();
+        files.forEach((file, index) => {
+            const key = file.signature.subarray(band, band + BAND_SIZE).join(',');
+            if (!buckets.has(key)) buckets.set(key, []);
+            buckets.get(key).push(index);
+        });
+
+        for (const members of buckets.values()) {
+            for (let i = 1; i < members.length; i++) {
+                for (let j = 0; j < i; j++) {
+                    const pair = `${members[j]}:${members[i]}`;
+                    if (compared.has(pair)) continue;
+                    compared.add(pair);
+                    if (estimateSimilarity(files[members[i]].signature, files[members[j]].signature) >= threshold) {
+                        parent[find(members[i])] = find(members[j]);
+                    }
+                }
+            }
+        }
+    }
+
+    const clusters = new Map();
+    files.forEach((file, index) => {
+        const clusterId = find(index);
+        if (!clusters.has(clusterId)) clusters.set(clusterId, []);
+        clusters.get(clusterId).push(file);
+    });
+
+    return [...clusters.values()]
+        .filter(members => new Set(members.map(file => file.contentHash ?? file.id)).size > 1)
+        .map(members => {
+            const withSimilarity = members.map(({ signature, ...file }) => ({
+                ...file,
+                similarity: estimateSimilarity(members[0].signature, signature)
+            }));
+            return {
+                type: 'similar-text',
+                count: members.length,
+                minSimilarity: Math.min(...withSimilarity.map(file => file.similarity)),
+                files: withSimilarity
+            };
+        })
+        .sort((a, b) => b.count - a.count || a.files[0].path.localeCompare(b.files[0].path));
+}
+
+/**
+ * getTextDiff - Unified diff between two indexed files
+ * Why it's needed: Shows what actually differs between members of a group
+ * How it works: Looks both files up by ID so only indexed paths are ever read
+ * @param {string} firstId - ID of the first file
+ * @param {string} secondId - ID of the second file
+ * @return {string} - The unified diff
+ */
+export function getTextDiff(firstId, secondId) {
+    const first = getFileById.get(firstId);
+    const second = getFileById.get(secondId);
+    if (!first || !second) {
+        throw new Error('File not found in the index');
+    }
+
+    return unifiedDiff(
+        fs.readFileSync(resolveFilePath(first), 'utf8'),
+        fs.readFileSync(resolveFilePath(second), 'utf8'),
+        first.path,
+        second.path
+    );
+}
@@ -0,0 +1,151 @@
+/**
+ * Text Diff Module
+ * Purpose: Produces unified diffs between two texts
+ * Why it's needed: Shows what actually differs between near-duplicate files
+ * How it works: Finds the shortest line edit script with Myers' algorithm and
+ * formats the changes in hunks with surrounding context lines
+ */
+
+// Number of unchanged lines shown around each change
+const CONTEXT_LINES = 3;
+
+// Edit scripts longer than this are not worth showing and would use too much memory
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * diffLines - Computes the shortest edit script between two lists of lines
+ * @param {Array<string>} before - Lines of the first text
+ * @param {Array<string>} after - Lines of the second text
+ * @return {Array<object>|null} - Operations with type ' ', '-' or '+' and line, or null if the texts differ too much
+ */
+function diffLines(before, after) {
+    const max = before.length + after.length;
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    // Forward pass: furthest reaching path on each diagonal k for each edit count d
+    let found = false;
+    for (let d = 0; d <= Math.min(max, MAX_EDIT_DISTANCE) && !found; d++) {
+        trace.push(v.slice());
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < before.length && y < after.length && before[x] === after[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= before.length && y >= after.length) {
+                found = true;
+                break;
+            }
+        }
+    }
+    if (!found) return null;
+
+    // Backward pass: walk the trace from the end to recover the operations
+    const operations = [];
+    let x = before.length;
+    let y = after.length;
+    for (let d = trace.length - 1; d > 0; d--) {
+        const previous = trace[d];
+        const k = x - y;
+        const previousK = (k === -d || (k !== d && previous[offset + k - 1] < previous[offset + k + 1])) ? k + 1 : k - 1;
+        const previousX = previous[offset + previousK];
+        const previousY = previousX - previousK;
+
+        while (x > previousX && y > previousY) {
+            operations.push({ type: ' ', line: before[--x] });
+            y--;
+        }
+        if (previousK === k + 1) {
+            operations.push({ type: '+', line: after[--y] });
+        } else {
+            operations.push({ type: '-', line: before[--x] });
+        }
+    }
+    while (x > 0 && y > 0) {
+        operations.push({ type: ' ', line: before[--x] });
+        y--;
+    }
+
+    return operations.reverse();
+}
+
+/**
+ * splitLines - Splits text into lines without a trailing empty line
+ * @param {string} text - The text
+ * @return {Array<string>} - The lines
+ */
+function splitLines(text) {
+    const lines = text.split(/\r?\n/);
+    if (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+    return lines;
+}
+
+/**
+ * unifiedDiff - Formats the differences between two texts as a unified diff
+ * Why it's needed: The format is familiar from git and patch, and readable in
+ * the terminal as well as in the browser
+ * How it works:
+ * 1. Computes the line operations between the texts
+ * 2. Keeps CONTEXT_LINES unchanged lines around every change, merging close changes into one hunk
+ * 3. Writes the '---'/'+++' header and an '@@ -start,count +start,count @@' line per hunk
+ * @param {string} beforeText - The first text
+ * @param {string} afterText - The second text
+ * @param {string} beforeLabel - Name shown for the first text
+ * @param {string} afterLabel - Name shown for the second text
+ * @return {string} - The diff, empty if the texts have the same lines
+ */
+export function unifiedDiff(beforeText, afterText, beforeLabel, afterLabel) {
+    const operations = diffLines(splitLines(beforeText), splitLines(afterText));
+    if (!operations) {
+        return `--- ${beforeLabel}\n+++ ${afterLabel}\n(files differ in more than ${MAX_EDIT_DISTANCE} lines)\n`;
+    }
+
+    const changes = operations.map((operation, index) => operation.type !== ' ' ? index : -1).filter(index => index >= 0);
+    if (changes.length === 0) {
+        return '';
+    }
+
+    // Group changes whose context would touch into hunks of operation ranges
+    const ranges = [];
+    for (const index of changes) {
+        const start = Math.max(0, index - CONTEXT_LINES);
+        const end = Math.min(operations.length, index + CONTEXT_LINES + 1);
+        const last = ranges[ranges.length - 1];
+        if (last && start <= last.end) {
+            last.end = end;
+        } else {
+            ranges.push({ start, end });
+        }
+    }
+
+    const output = [`--- ${beforeLabel}`, `+++ ${afterLabel}`];
+    let beforeLine = 0;
+    let afterLine = 0;
+    let position = 0;
+
+    for (const { start, end } of ranges) {
+        // Count the lines skipped since the previous hunk
+        for (; position < start; position++) {
+            if (operations[position].type !== '+') beforeLine++;
+            if (operations[position].type !== '-') afterLine++;
+        }
+
+        const hunk = operations.slice(start, end);
+        const beforeCount = hunk.filter(operation => operation.type !== '+').length;
+        const afterCount = hunk.filter(operation => operation.type !== '-').length;
+        output.push(`@@ -${beforeLine + (beforeCount > 0 ? 1 : 0)},${beforeCount} +${afterLine + (afterCount > 0 ? 1 : 0)},${afterCount} @@`);
+        hunk.forEach(operation => output.push(`${operation.type}${operation.line}`));
+
+        beforeLine += beforeCount;
+        afterLine += afterCount;
+        position = end;
+    }
+
+    return output.join('\n') + '\n';
+}
@@ -0,0 +1,120 @@
+/**
+ * Text Hash Module
+ * Purpose: Computes MinHash signatures of text-like files
+ * Why it's needed: Config files, CSVs and sources that differ by a line or two
+ * have different content hashes, so exact matching treats them as unrelated
+ * How it works: Splits the text into overlapping word shingles and keeps, for
+ * each of SIGNATURE_SIZE hash functions, the smallest hash of any shingle. The
+ * share of positions two signatures agree on estimates their Jaccard similarity.
+ */
+
+import fs from 'fs';
+
+// Extensions of the files the similar-text pass looks at
+export const TEXT_EXTENSIONS = [
+    'txt', 'md', 'rst', 'tex', 'log', 'csv', 'tsv', 'json', 'yaml', 'yml', 'toml', 'ini', 'cfg', 'conf',
+    'properties', 'env', 'xml', 'html', 'htm', 'css', 'scss', 'js', 'mjs', 'cjs', 'jsx', 'ts', 'tsx',
+    'vue', 'svelte', 'py', 'rb', 'php', 'pl', 'lua', 'r', 'go', 'rs', 'java', 'kt', 'scala', 'swift',
+    'c', 'h', 'cpp', 'hpp', 'cc', 'cs', 'sh', 'bash', 'zsh', 'ps1', 'sql', 'gradle'
+];
+
+// Larger files are left out; near-duplicate detection is meant for documents, not data dumps
+export const MAX_TEXT_SIZE = 5 * 1024 * 1024;
+
+// Number of hash functions, and so of 32-bit values, in a signature
+export const SIGNATURE_SIZE = 128;
+
+// Number of consecutive words in a shingle
+const SHINGLE_SIZE = 3;
+
+// Per-function seeds, fixed so signatures stay comparable between runs
+const SEEDS = Uint32Array.from({ length: SIGNATURE_SIZE }, (_, index) => Math.imul(index + 1, 0x9e3779b1));
+
+/**
+ * hashString - 32-bit FNV-1a hash of a string
+ * @param {string} value - The string to hash
+ * @return {number} - Unsigned 32-bit hash
+ */
+function hashString(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * mix - Derives one of the signature's hash functions from a shingle hash
+ * How it works: XORs in the function's seed and applies the MurmurHash3 finalizer
+ * @param {number} hash - Shingle hash
+ * @param {number} seed - Seed of the hash function
+ * @return {number} - Unsigned 32-bit hash
+ */
+function mix(hash, seed) {
+    hash ^= seed;
+    hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+    hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+    return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+/**
+ * getShingles - Splits text into the set of its overlapping word sequences
+ * Why it's needed: Whitespace and line ending changes shouldn't count as differences
+ * @param {string} text - The file's text
+ * @return {Set<number>} - Hashes of the distinct shingles
+ */
+function getShingles(text) {
+    const words = text.split(/\s+/).filter(Boolean);
+    const shingles = new Set();
+
+    if (words.length > 0 && words.length < SHINGLE_SIZE) {
+        shingles.add(hashString(words.join(' ')));
+    }
+    for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+        shingles.add(hashString(words.slice(i, i + SHINGLE_SIZE).join(' ')));
+    }
+    return shingles;
+}
+
+/**
+ * hashText - Computes the MinHash signature of a text file
+ * Why it's needed: A file with a known text extension may still hold binary data
+ * How it works: Returns a null signature for files containing NUL bytes or no words
+ * @param {string} filePath - Path of the file
+ * @return {Promise<object>} - Object with signature (Uint32Array or null) and shingle count
+ */
+export async function hashText(filePath) {
+    const buffer = await fs.promises.readFile(filePath);
+    if (buffer.includes(0)) {
+        return { signature: null, shingles: 0 };
+    }
+
+    const shingles = getShingles(buffer.toString('utf8'));
+    if (shingles.size === 0) {
+        return { signature: null, shingles: 0 };
+    }
+
+    const signature = new Uint32Array(SIGNATURE_SIZE).fill(0xffffffff);
+    for (const shingle of shingles) {
+        for (let i = 0; i < SIGNATURE_SIZE; i++) {
+            const value = mix(shingle, SEEDS[i]);
+            if (value < signature[i]) signature[i] = value;
+        }
+    }
+    return { signature, shingles: shingles.size };
+}
+
+/**
+ * estimateSimilarity - Estimates the Jaccard similarity of two files from their signatures
+ * @param {Uint32Array} first - Signature from hashText
+ * @param {Uint32Array} second - Signature from hashText
+ * @return {number} - Similarity from 0 (nothing shared) to 1 (same shingles)
+ */
+export function estimateSimilarity(first, second) {
+    let matches = 0;
+    for (let i = 0; i < SIGNATURE_SIZE; i++) {
+        if (first[i] === second[i]) matches++;
+    }
+    return matches / SIGNATURE_SIZE;
+}
@@ -0,0 +1,194 @@
+/**
+ * Trash Module
+ * Purpose: Sends removed duplicates to the desktop Trash
+ * Why it's needed: Desktop users expect removed files in their file manager's Trash,
+ * where they can be restored the usual way, rather than in a custom @duplicates folder
+ * How it works: Implements the freedesktop.org Trash specification. A file on the same
+ * device as the home trash ($XDG_DATA_HOME/Trash) goes there; a file on another volume
+ * goes to that volume's $topdir/.Trash/$uid or $topdir/.Trash-$uid, and to the home
+ * trash only if neither can be used. Each trashed file gets a matching .trashinfo
+ * record with its original path and the deletion date.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { moveFile } from './quarantine.js';
+
+// Sticky bit, required on a shared $topdir/.Trash before per-user directories are made in it
+const STICKY_BIT = 0o1000;
+
+/**
+ * getUid - The current user's ID, which names per-volume trash directories
+ * @return {number} - The user ID
+ * @throws {Error} - On platforms without POSIX user IDs
+ */
+function getUid() {
+    if (typeof process.getuid !== 'function') {
+        throw new Error('The freedesktop Trash is not available on this platform');
+    }
+    return process.getuid();
+}
+
+/**
+ * getHomeTrash - The user's home trash directory
+ * @return {string} - $XDG_DATA_HOME/Trash, or ~/.local/share/Trash when XDG_DATA_HOME is unset
+ */
+function getHomeTrash() {
+    const dataHome = process.env.XDG_DATA_HOME && path.isAbsolute(process.env.XDG_DATA_HOME)
+        ? process.env.XDG_DATA_HOME
+        : path.join(os.homedir(), '.local', 'share');
+    return path.join(dataHome, 'Trash');
+}
+
+/**
+ * findTopDir - Finds the mount point of the volume a path lives on
+ * How it works: Walks up from the path's directory until the parent is on another device
+ * @param {string} filePath - Absolute path of a file
+ * @return {Promise<string>} - The topmost directory on the same device
+ */
+async function findTopDir(filePath) {
+    let dir = path.dirname(filePath);
+    const { dev } = await fs.promises.stat(dir);
+    for (;;) {
+        const parent = path.dirname(dir);
+        if (parent === dir || (await fs.promises.stat(parent)).dev !== dev) return dir;
+        dir = parent;
+    }
+}
+
+/**
+ * prepareTrash - Creates a trash directory's files and info subdirectories
+ * @param {string} trashDir - The trash directory
+ * @return {Promise<string>} - The same directory
+ */
+async function prepareTrash(trashDir) {
+    await fs.promises.mkdir(path.join(trashDir, 'files'), { recursive: true, mode: 0o700 });
+    await fs.promises.mkdir(path.join(trashDir, 'info'), { recursive: true, mode: 0o700 });
+    return trashDir;
+}
+
+/**
+ * getVolumeTrash - Finds or creates the trash directory of a volume
+ * How it works: Uses $topdir/.Trash/$uid when $topdir/.Trash is a real directory with the
+ * sticky bit set, as the specification requires, and $topdir/.Trash-$uid otherwise; the
+ * latter must be a real directory owned by the user
+ * @param {string} topDir - Mount point of the volume
+ * @return {Promise<string|null>} - The trash directory, or null if the volume has none usable
+ */
+async function getVolumeTrash(topDir) {
+    const uid = getUid();
+
+    try {
+        const shared = await fs.promises.lstat(path.join(topDir, '.Trash'));
+        if (shared.isDirectory() && (shared.mode & STICKY_BIT)) {
+            return await prepareTrash(path.join(topDir, '.Trash', String(uid)));
+        }
+    } catch {
+        // No usable shared trash; fall through to the per-user one
+    }
+
+    try {
+        const userTrash = path.join(topDir, `.Trash-${uid}`);
+        await fs.promises.mkdir(userTrash, { recursive: true, mode: 0o700 });
+        const stat = await fs.promises.lstat(userTrash);
+        if (!stat.isDirectory() || stat.uid !== uid) return null;
+        return await prepareTrash(userTrash);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * chooseTrash - Picks the trash directory for a file
+ * @param {string} filePath - Absolute path of the file
+ * @return {Promise<object>} - Object with dir (the trash directory) and topDir (the
+ * directory .trashinfo paths are relative to, or null for absolute paths)
+ */
+async function chooseTrash(filePath) {
+    const homeTrash = await prepareTrash(getHomeTrash());
+    const [fileStat, homeStat] = await Promise.all([fs.promises.stat(filePath), fs.promises.stat(homeTrash)]);
+    if (fileStat.dev === homeStat.dev) {
+        return { dir: homeTrash, topDir: null };
+    }
+
+    const topDir = await findTopDir(filePath);
+    const volumeTrash = await getVolumeTrash(topDir);
+    if (volumeTrash) {
+        return { dir: volumeTrash, topDir };
+    }
+    // The file is copied across devices into the home trash as a last resort
+    return { dir: homeTrash, topDir: null };
+}
+
+/**
+ * formatDeletionDate - Formats a date as the specification's local YYYY-MM-DDThh:mm:ss
+ * @param {Date} date - The date to format
+ * @return {string} - The formatted date without a time zone
+ */
+function formatDeletionDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * encodeTrashPath - Escapes a path for the Path key of a .trashinfo file
+ * @param {string} filePath - The original path, absolute or relative to the volume
+ * @return {string} - The path with each segment escaped as in a URI
+ */
+function encodeTrashPath(filePath) {
+    return filePath.split(path.sep).map(encodeURIComponent).join('/');
+}
+
+/**
+ * getTrashInfoPath - The .trashinfo record that belongs to a trashed file
+ * @param {string} trashedPath - Absolute path of the file in a trash's files directory
+ * @return {string} - Absolute path of its record in the trash's info directory
+ */
+export function getTrashInfoPath(trashedPath) {
+    const trashDir = path.dirname(path.dirname(trashedPath));
+    return path.join(trashDir, 'info', `${path.basename(trashedPath)}.trashinfo`);
+}
+
+/**
+ * moveToTrash - Moves a file to the freedesktop Trash
+ * Why it's needed: Used by --trash in auto-remove, applied plans and the web interface
+ * How it works:
+ * 1. Picks the home trash or the volume's trash
+ * 2. Reserves a free name by creating its .trashinfo record exclusively, adding
+ *    .2, .3 and so on before the extension while the name is taken
+ * 3. Moves the file into the trash's files directory, removing the record if that fails
+ * @param {string} filePath - Absolute path of the file
+ * @return {Promise<string>} - Absolute path of the file in the trash
+ */
+export async function moveToTrash(filePath) {
+    const { dir, topDir } = await chooseTrash(filePath);
+    const originalPath = topDir ? path.relative(topDir, filePath) : filePath;
+    const info = '[Trash Info]\n' +
+        `Path=${encodeTrashPath(originalPath)}\n` +
+        `DeletionDate=${formatDeletionDate(new Date())}\n`;
+
+    const { name, ext } = path.parse(filePath);
+    for (let number = 1; ; number++) {
+        const trashName = number === 1 ? `${name}${ext}` : `${name}.${number}${ext}`;
+        const trashedPath = path.join(dir, 'files', trashName);
+        const infoPath = getTrashInfoPath(trashedPath);
+
+        if (fs.existsSync(trashedPath)) continue;
+        try {
+            await fs.promises.writeFile(infoPath, info, { flag: 'wx', mode: 0o600 });
+        } catch (error) {
+            if (error.code === 'EEXIST') continue;
+            throw error;
+        }
+
+        try {
+            await moveFile(filePath, trashedPath);
+        } catch (error) {
+            await fs.promises.unlink(infoPath).catch(() => {});
+            throw error;
+        }
+        return trashedPath;
+    }
+}
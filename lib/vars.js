@@ -3,11 +3,18 @@ import chalk from 'chalk';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import os from 'os';
+import { printHelp, getHelpTopic } from './help.js';
+import { loadConfig } from './config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const argv = minimist(process.argv.slice(2), {
+const parseOptions = {
+    string: ['include', 'exclude', 'remove-from', 'ext', 'exclude-ext', 'min-size', 'max-size', 'keep', 'replace-with', 'quarantine', 'older-than', 'host', 'profile'],
+    // Declared so a flag before a command argument, as in 'plan --trash my-plan.json', doesn't take it as its value
+    boolean: ['force', 'debug', 'show-dupes', 'auto-remove', 'server', 'show-errors', 'show-empty', 'show-overlap',
+        'include-empty', 'similar-images', 'similar-text', 'archives', 'trash', 'verify', 'scan', 'follow-symlinks', 'help'],
     alias: {
         t: 'target',
         h: 'help',
@@ -15,19 +22,88 @@ const argv = minimist(process.argv.slice(2), {
         d: 'debug',
         s: 'show-dupes',
         y: 'auto-remove',
-        w: 'server'
-    },
-    default: {
-        target: process.cwd(),
-        force: false,
-        debug: false,
-        'show-dupes': false,
-        'auto-remove': false,
-        'server': false
+        w: 'server',
+        j: 'jobs'
     }
-});
+};
+
+const defaults = {
+    force: false,
+    debug: false,
+    'show-dupes': false,
+    'auto-remove': false,
+    'server': false,
+    'show-errors': false,
+    'show-empty': false,
+    'show-overlap': false,
+    'include-empty': false,
+    'similar-images': false,
+    'similar-threshold': 10,
+    'similar-text': false,
+    'similar-text-threshold': 0.8,
+    archives: false,
+    trash: false,
+    verify: true,
+    scan: true,
+    jobs: os.cpus().length,
+    port: 3000,
+    'follow-symlinks': false
+};
+
+// The command line alone, without defaults, so it can be told apart from the config files
+const given = minimist(process.argv.slice(2), parseOptions);
+
+// Command given before the options, such as 'plan' or 'apply', or null for a plain scan
+export const command = given._.length > 0 ? String(given._[0]) : null;
+export const commandArgs = given._.slice(1).map(String);
+
+// Help is printed before any module opens the database, which would create it
+if (given.help || command === 'help') {
+    printHelp(getHelpTopic(command, commandArgs));
+    process.exit(0);
+}
+
+// Options from dedupe.config.json or .deduperc and the --profile become the defaults
+// the command line overrides; an invalid file stops the run before anything happens
+// 'apply' without --target runs on the roots recorded in the plan, so their file is read
+const planTargets = command === 'apply' && commandArgs[0] ? readPlanTargets(commandArgs[0]) : null;
+let config;
+try {
+    config = loadConfig({ target: given.target ?? planTargets, profile: given.profile });
+} catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+}
+export const configFiles = config.files;
+export const profileName = config.profile;
 
-export const targetDir = path.resolve(argv.target);
+const argv = minimist(process.argv.slice(2), { ...parseOptions, default: { ...defaults, ...config.options } });
+
+/**
+ * readPlanTargets - Reads the scan roots recorded in a plan file
+ * Why it's needed: 'dedupe apply plan.json' must open the database the plan was made from
+ * even when run from another directory without --target
+ * @param {string} planFile - Path of the plan file
+ * @return {Array<string>|null} - The plan's roots, or null if the file can't be read
+ */
+function readPlanTargets(planFile) {
+    try {
+        const plan = JSON.parse(fs.readFileSync(planFile, 'utf8'));
+        return Array.isArray(plan.targets) && plan.targets.length > 0 ? plan.targets : null;
+    } catch {
+        return null;
+    }
+}
+
+// --target may be repeated; the database is named after the first root. Without it,
+// 'apply' uses the roots stored in the plan, and everything else the target from the
+// config files or the current directory
+const targetOption = given.target
+    ?? planTargets
+    ?? argv.target
+    ?? process.cwd();
+export const targetDirs = [...new Set([].concat(targetOption).map(target => path.resolve(String(target))))];
+export const targetDir = targetDirs[0];
 export const targetDirName = `${path.basename(targetDir)}`;
 export const baseDir = path.dirname(targetDir);
 export const dbName = `${path.basename(targetDir)}.dedupe`;
@@ -41,6 +117,82 @@ export const debugMode = argv.debug;
 export const showDuplicates = argv['show-dupes'];
 export const autoRemoveDuplicates = argv['auto-remove'];
 export const startServerMode = argv.server;
+export const showErrors = argv['show-errors'];
+export const showEmptyFiles = argv['show-empty'];
+export const showOverlap = argv['show-overlap'];
+export const includeEmptyFiles = argv['include-empty'];
+export const similarImages = argv['similar-images'];
+export const similarText = argv['similar-text'];
+export const archives = argv.archives;
+
+// Replace duplicates with 'hardlink', 'symlink' or 'reflink' links to the kept file instead of moving them
+export const replaceWith = argv['replace-with'] ? String(argv['replace-with']).toLowerCase() : null;
+
+// Send removed duplicates to the freedesktop Trash instead of quarantine
+export const useTrash = argv.trash;
+
+// Directory that collects moved duplicates instead of @duplicates next to each root
+export const quarantineDir = argv.quarantine ? path.resolve(argv.quarantine) : null;
+
+// Age of quarantined copies that 'dedupe purge' deletes, as typed (e.g. '30d')
+export const olderThanOption = argv['older-than'] === undefined ? null : String(argv['older-than']);
+
+// Port and interface the web interface listens on; without --host it listens on all interfaces
+export const serverPort = parseInt(argv.port, 10) || 3000;
+export const serverHost = argv.host || null;
+
+// Rescan before clean, plan and review; --no-scan works from the index as it is
+export const scanFirst = argv.scan;
+
+// Compare each duplicate with the kept file byte for byte before moving it; --no-verify turns this off
+export const verifyCopies = argv.verify;
+
+// Largest number of differing perceptual hash bits (out of 64) for two images to count as similar
+export const similarThreshold = Math.min(64, Math.max(0, parseInt(argv['similar-threshold'], 10) || 0));
+
+// Smallest estimated Jaccard similarity (0 to 1) for two text files to count as similar
+export const similarTextThreshold = Math.min(1, Math.max(0, parseFloat(argv['similar-text-threshold']) || 0));
+export const followSymlinks = argv['follow-symlinks'];
+
+// Roots (or folders inside them) whose files may be removed, or null for all roots
+export const removeFromRoots = argv['remove-from'] === undefined
+    ? null
+    : [].concat(argv['remove-from']).map(root => path.resolve(String(root)));
+
+// Ordered keep rules such as 'prefer=/mnt/photos', 'oldest' or 'match=^IMG_'; see lib/keep-rules.js
+export const keepRuleSpecs = argv.keep === undefined ? [] : [].concat(argv.keep).filter(Boolean);
+
+// Hash algorithm requested on the command line, or null to keep the database's choice
+export const requestedAlgorithm = argv.algorithm ? String(argv.algorithm).toLowerCase() : null;
+
+// Include/exclude globs from the command line, or null to reuse the rules stored in the database
+export const includePatterns = argv.include === undefined ? null : [].concat(argv.include).filter(Boolean);
+export const excludePatterns = argv.exclude === undefined ? null : [].concat(argv.exclude).filter(Boolean);
+
+// Size limits as typed (e.g. '10K'), or null to reuse the limits stored in the database;
+// an empty value such as '--max-size=' removes the limit
+export const minSizeOption = argv['min-size'] === undefined ? null : String([].concat(argv['min-size']).pop());
+export const maxSizeOption = argv['max-size'] === undefined ? null : String([].concat(argv['max-size']).pop());
+
+/**
+ * parseExtensions - Normalizes repeated or comma separated extension options
+ * @param {string|Array<string>|undefined} value - Raw --ext or --exclude-ext value
+ * @return {Array<string>|null} - Lower-case extensions without the leading dot, or null if not given
+ */
+function parseExtensions(value) {
+    if (value === undefined) return null;
+    return [].concat(value)
+        .flatMap(entry => String(entry).split(','))
+        .map(extension => extension.trim().replace(/^\./, '').toLowerCase())
+        .filter(Boolean);
+}
+
+// Extensions to index and to leave out, or null to reuse the rules stored in the database
+export const extensions = parseExtensions(argv.ext);
+export const excludeExtensions = parseExtensions(argv['exclude-ext']);
+
+// Number of hashing worker threads
+export const hashJobs = Math.max(1, parseInt(argv.jobs, 10) || 1);
 
 export const log = {
     info: (msg) => console.log(chalk.cyan(msg)),
@@ -0,0 +1,96 @@
+/**
+ * Verify Module
+ * Purpose: Confirms a duplicate really matches the file that is kept before it is moved
+ * Why it's needed: Duplicate sets come from hashes stored at scan time; a file
+ * edited since then, or a hash collision, must never cost the only copy of some data
+ * How it works: Re-checks both files' size and mtime against the index and
+ * then compares their contents byte for byte
+ */
+
+import fs from 'fs';
+import { resolveFilePath } from '../database/files.js';
+
+// Number of bytes compared at a time
+const COMPARE_BLOCK_SIZE = 256 * 1024;
+
+/**
+ * checkAgainstIndex - Tells whether a file changed since it was indexed
+ * Why it's needed: The stored hash only describes the file as it was when scanned
+ * How it works: Compares the current size and whole-millisecond mtime with the
+ * record; rows indexed before mtimes were stored are checked by size only
+ * @param {object} file - File record with path, root, size and mtime
+ * @param {fs.Stats} stat - The file's current stats
+ * @return {string|null} - Why the file no longer matches the index, or null if it does
+ */
+function checkAgainstIndex(file, stat) {
+    if (stat.size !== file.size) {
+        return `size changed since the scan (${file.size} -> ${stat.size} bytes)`;
+    }
+    if (file.mtime !== null && file.mtime !== undefined && Math.floor(stat.mtimeMs) !== file.mtime) {
+        return 'modified since the scan';
+    }
+    return null;
+}
+
+/**
+ * compareContents - Compares two files byte for byte
+ * @param {string} firstPath - Path of the first file
+ * @param {string} secondPath - Path of the second file
+ * @return {Promise<boolean>} - True if both files have the same bytes
+ */
+export async function compareContents(firstPath, secondPath) {
+    const first = await fs.promises.open(firstPath, 'r');
+    try {
+        const second = await fs.promises.open(secondPath, 'r');
+        try {
+            const firstBuffer = Buffer.alloc(COMPARE_BLOCK_SIZE);
+            const secondBuffer = Buffer.alloc(COMPARE_BLOCK_SIZE);
+            for (;;) {
+                const [firstRead, secondRead] = await Promise.all([
+                    first.read(firstBuffer, 0, COMPARE_BLOCK_SIZE, null),
+                    second.read(secondBuffer, 0, COMPARE_BLOCK_SIZE, null)
+                ]);
+                if (firstRead.bytesRead !== secondRead.bytesRead) return false;
+                if (firstRead.bytesRead === 0) return true;
+                if (!firstBuffer.subarray(0, firstRead.bytesRead).equals(secondBuffer.subarray(0, secondRead.bytesRead))) {
+                    return false;
+                }
+            }
+        } finally {
+            await second.close();
+        }
+    } finally {
+        await first.close();
+    }
+}
+
+/**
+ * verifyDuplicate - Checks that a duplicate can safely be removed in favour of the kept file
+ * Why it's needed: Called before any duplicate is moved, by auto-remove and the web interface
+ * How it works:
+ * 1. Stats the kept file and the duplicate and checks both against the index
+ * 2. Compares the two files byte for byte
+ * Errors such as a file that vanished are reported as a reason, not thrown.
+ * @param {object} original - Record of the kept file with path, root, size and mtime
+ * @param {object} duplicate - Record of the file about to be moved
+ * @return {Promise<string|null>} - Why the duplicate must be skipped, or null if it is verified
+ */
+export async function verifyDuplicate(original, duplicate) {
+    const originalPath = resolveFilePath(original);
+    const duplicatePath = resolveFilePath(duplicate);
+
+    try {
+        const originalChange = checkAgainstIndex(original, await fs.promises.stat(originalPath));
+        if (originalChange) return `kept file ${original.path} ${originalChange}`;
+
+        const duplicateChange = checkAgainstIndex(duplicate, await fs.promises.stat(duplicatePath));
+        if (duplicateChange) return duplicateChange;
+
+        if (!await compareContents(originalPath, duplicatePath)) {
+            return `contents differ from kept file ${original.path}`;
+        }
+        return null;
+    } catch (error) {
+        return `could not be verified: ${error.code || error.message}`;
+    }
+}